@@ -0,0 +1,68 @@
+/**
+ * Dashboard Login
+ *
+ * Exchanges a username/password from AUTH_USERS for a signed session
+ * token (see netlify/lib/auth.js). The dashboard keeps the token and
+ * sends it as `Authorization: Bearer <token>` on every request.
+ *
+ * Usage:
+ *   POST /auth-login { username, password }
+ *     → { success, token, user: { name, role }, expiresAt }
+ *
+ * Repeated wrong passwords for a username or from an IP lock it out for
+ * a while (429 with Retry-After, AUTH_MAX_FAILURES / AUTH_LOCKOUT_MINUTES).
+ */
+
+const { connectStore } = require('../lib/store');
+const { corsHeaders, login } = require('../lib/auth');
+const { parseJsonBody } = require('../lib/request');
+
+exports.handler = async (event) => {
+  const headers = corsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers };
+  }
+
+  try {
+    connectStore(event);
+
+    if (event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success: false, error: 'POST username and password' })
+      };
+    }
+
+    const { username, password } = parseJsonBody(event.body);
+    const session = await login(username, password, { ip: clientIp(event) });
+    console.log(`Login: ${session.user.name} (${session.user.role})`);
+
+    return {
+      statusCode: 200,
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ success: true, ...session })
+    };
+
+  } catch (error) {
+    console.error('Login failed:', error.message);
+    return {
+      statusCode: error.statusCode || 500,
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        ...(error.retryAfter && { 'Retry-After': String(error.retryAfter) })
+      },
+      body: JSON.stringify({
+        success: false,
+        error: error.message
+      })
+    };
+  }
+};
+
+// Set by Netlify's edge - unlike X-Forwarded-For the caller can't pick it
+function clientIp(event) {
+  return event.headers?.['x-nf-client-connection-ip'] || null;
+}
@@ -0,0 +1,133 @@
+/**
+ * Historical Backfill (Netlify background function)
+ *
+ * Exports a long past range in one go - a new account, a fixed pricing
+ * mistake, a gap the scheduled export missed. The range is fetched from
+ * CallRail chunk by chunk (CALLRAIL_CHUNK_DAYS) inside one background
+ * run and lands as a single draft export batch (netlify/lib/batches.js),
+ * reviewed and approved in the dashboard like any other.
+ *
+ * Usage:
+ *   POST /.netlify/functions/backfill-background
+ *        { from: '2026-07-01', to: '2026-09-30', onlyNew, enhanced, source, attribution }
+ *   ...?client=phone-lead       → Another client from the registry
+ *
+ * from / to are read in the client's time zone (netlify/lib/windows.js);
+ * onlyNew defaults to true so nothing already in the ledger is repeated.
+ * Google Ads rejects clicks older than 90 days, so an earlier from is
+ * moved up to that limit and the job says it was clamped.
+ *
+ * Netlify answers a background function with 202 straight away, so the
+ * outcome is only in the run log: each job is written to
+ * /.netlify/functions/export-runs?type=backfill when it starts and again
+ * when it finishes (status, batchId, truncated). Needs the exporter role.
+ *
+ * Options:
+ *   BACKFILL_TIME_BUDGET_MS=780000 → CallRail paging budget (background functions get 15 min)
+ */
+
+const { connectStore } = require('../lib/store');
+const { corsHeaders, authenticate } = require('../lib/auth');
+const { getClient } = require('../lib/clients');
+const { MODELS } = require('../lib/attribution');
+const { CLICK_AGE_LIMIT_DAYS, WindowError, resolveWindow, clampToClickAge } = require('../lib/windows');
+const { draftBatch } = require('../lib/batches');
+const { recordBackfill } = require('../lib/run-log');
+const { parseJsonBody } = require('../lib/request');
+
+const CONFIG = {
+  timeBudgetMs: parseInt(process.env.BACKFILL_TIME_BUDGET_MS) || 13 * 60 * 1000
+};
+
+exports.handler = async (event) => {
+  const headers = corsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers };
+  }
+
+  let job = null;
+  let statusCode = 200;
+
+  try {
+    connectStore(event);
+
+    const params = event.queryStringParameters || {};
+    const client = getClient(params.client);
+    const user = authenticate(event, 'exporter');
+    const body = parseJsonBody(event.body);
+
+    job = {
+      startedAt: new Date().toISOString(),
+      client: client.id,
+      requestedBy: user.name,
+      status: 'running',
+      requested: { from: body.from || null, to: body.to || null }
+    };
+
+    if (!body.from) {
+      throw new WindowError('from is required for a backfill');
+    }
+    if (body.attribution && !MODELS[body.attribution]) {
+      throw new WindowError(`Unknown attribution model "${body.attribution}"`);
+    }
+
+    const range = resolveWindow(body, client);
+    const { startDate, clamped } = clampToClickAge(range.startDate);
+    if (startDate >= range.endDate) {
+      throw new WindowError(`The whole range is older than Google Ads' ${CLICK_AGE_LIMIT_DAYS}-day click limit`);
+    }
+
+    job.clamped = clamped;
+    job.window = { from: startDate.toISOString(), to: range.endDate.toISOString(), timeZone: client.timeZone };
+    await recordBackfill(job);
+    console.log(`Backfill for ${client.id} by ${user.name}: ${job.window.from} to ${job.window.to}${clamped ? ' (clamped)' : ''}`);
+
+    const batch = await draftBatch(
+      client,
+      { ...range, startDate, hours: Math.round((range.endDate - startDate) / (60 * 60 * 1000)), backfill: true },
+      { ...body, onlyNew: body.onlyNew !== false },
+      user,
+      { timeBudgetMs: CONFIG.timeBudgetMs }
+    );
+
+    job.status = batch.window.truncated ? 'partial' : 'complete';
+    job.batchId = batch.id;
+    job.rows = batch.rows.length;
+    job.totalValue = Math.round(batch.rows.reduce((sum, row) => sum + row.computedValue, 0) * 100) / 100;
+    job.truncated = batch.window.truncated;
+    console.log(`Backfill batch ${batch.id} drafted: ${job.rows} rows${job.truncated ? ` (truncated: ${job.truncated.reason})` : ''}`);
+
+  } catch (error) {
+    console.error('Error:', error);
+    if (!job) {
+      // Unknown client or not allowed - nothing worth logging as a job
+      return {
+        statusCode: error.statusCode || 500,
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success: false, error: error.message })
+      };
+    }
+    job.status = 'failed';
+    job.error = error.message;
+    statusCode = error.statusCode || 500;
+  }
+
+  job.finishedAt = new Date().toISOString();
+  try {
+    await recordBackfill(job);
+  } catch (error) {
+    // Left as it is the job would read "running" forever - try once more as failed
+    console.error('Could not record backfill:', error);
+    job.status = 'failed';
+    job.error = `${job.batchId ? `Batch ${job.batchId} was drafted, but the` : 'The'} job could not be recorded: ${error.message}`;
+    statusCode = 500;
+    await recordBackfill(job).catch(retryError => console.error('Could not record backfill failure:', retryError));
+  }
+
+  return {
+    statusCode,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ success: job.status !== 'failed', job }, null, 2)
+  };
+};
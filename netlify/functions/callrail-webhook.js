@@ -0,0 +1,123 @@
+/**
+ * CallRail Webhook Receiver
+ *
+ * Real-time alternative to polling CallRail. Point CallRail's webhooks at:
+ *
+ *   Post-call:     /.netlify/functions/callrail-webhook?event=post_call
+ *   Call modified: /.netlify/functions/callrail-webhook?event=call_modified
+ *
+ * Add &client=<id> for every client but the default one, so the call is
+ * queued (and signed) for the right account.
+ *
+ * Each request is verified against CallRail's `Signature` header
+ * (base64 HMAC-SHA1 of the raw body, keyed with the client's webhook
+ * secret - CALLRAIL_WEBHOOK_SECRET unless the registry names another),
+ * run through the same click ID / lead score / product pipeline as the
+ * export, and queued (netlify/lib/webhook-queue.js). Export or upload
+ * from the queue with sync-gads-conversions?source=queue.
+ *
+ * Replaying a saved payload locally:
+ *   SIG=$(openssl dgst -sha1 -hmac "$CALLRAIL_WEBHOOK_SECRET" -binary payload.json | base64)
+ *   curl -X POST -H "Signature: $SIG" --data-binary @payload.json \
+ *     "localhost:8888/.netlify/functions/callrail-webhook?event=post_call"
+ *
+ * Sample payloads live in test/fixtures/webhooks.
+ */
+
+const crypto = require('crypto');
+const { connectStore } = require('../lib/store');
+const { loadPricing } = require('../lib/pricing');
+const { buildConversions, extractClickId, getScorePercent } = require('../lib/conversions');
+const { getClient } = require('../lib/clients');
+const { conversionOptions } = require('../lib/export');
+const { getQueuedCall, enqueueCall } = require('../lib/webhook-queue');
+const { parseJsonBody } = require('../lib/request');
+
+const EVENTS = ['post_call', 'call_modified'];
+
+exports.handler = async (event) => {
+  const headers = { 'Content-Type': 'application/json' };
+  const json = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+  if (event.httpMethod !== 'POST') {
+    return json(405, { success: false, error: 'CallRail webhooks must POST' });
+  }
+
+  try {
+    connectStore(event);
+
+    const params = event.queryStringParameters || {};
+    const client = getClient(params.client);
+
+    const rawBody = event.isBase64Encoded
+      ? Buffer.from(event.body || '', 'base64').toString('utf8')
+      : event.body || '';
+
+    if (!verifySignature(rawBody, event.headers?.signature || event.headers?.Signature, client)) {
+      console.warn('Rejected webhook with bad signature');
+      return json(401, { success: false, error: 'Invalid signature' });
+    }
+
+    const webhookEvent = params.event || 'post_call';
+    if (!EVENTS.includes(webhookEvent)) {
+      return json(400, { success: false, error: `Unknown event "${webhookEvent}" - use ${EVENTS.join(' or ')}` });
+    }
+
+    const payload = parseJsonBody(rawBody);
+    // Webhooks carry the API's call ID ("CAL...") in resource_id; their id
+    // is a numeric legacy ID the API and the queue never use
+    const received = { ...payload, id: payload.resource_id || payload.id };
+    if (!received.id || !received.start_time) {
+      return json(400, { success: false, error: 'Payload is missing the call id or start_time' });
+    }
+
+    // call-modified payloads can be partial - layer them over what's queued
+    const existing = await getQueuedCall(received);
+    const call = { ...(existing?.call || {}), ...received };
+
+    // Value the call on its own for the log; the export re-values it with
+    // the rest of the caller's calls in the window
+    const pricing = await loadPricing(client);
+    const { conversions, zeroed, rejected } = buildConversions([call], pricing, conversionOptions(client, { enhanced: true }));
+    const clickId = extractClickId(call);
+    const preview = {
+      clickIdType: clickId ? clickId.type : null,
+      clickId: clickId ? clickId.id : null,
+      leadScore: getScorePercent(call),
+      ...(conversions[0]
+        ? {
+          tier: conversions[0].tier,
+          product: conversions[0].product,
+          productMatch: conversions[0].productMatch,
+          valueSource: conversions[0].valueSource,
+          value: conversions[0].conversionValue
+        }
+        : rejected[0]
+          ? { value: rejected[0].conversionValue, excluded: rejected[0].rejection.detail }
+          : { value: 0, excluded: zeroed.length ? 'zero value' : 'no click ID or phone' }),
+      pricingVersion: pricing.version
+    };
+
+    await enqueueCall(client, call, webhookEvent, preview);
+    console.log(`Queued ${webhookEvent} for ${client.id} call ${call.id}: ${preview.clickIdType || 'no click ID'}, $${preview.value}`);
+
+    return json(200, { success: true, client: client.id, callId: call.id, event: webhookEvent, preview });
+
+  } catch (error) {
+    console.error('Error:', error);
+    return json(error.statusCode || 500, { success: false, error: error.message });
+  }
+};
+
+function verifySignature(rawBody, signature, client) {
+  const secret = client.callrail.webhookSecret;
+  if (!secret) {
+    throw new Error(`No CallRail webhook secret configured for client ${client.id}`);
+  }
+  if (!signature) return false;
+
+  const expected = crypto.createHmac('sha1', secret).update(rawBody).digest('base64');
+  const a = Buffer.from(expected);
+  const b = Buffer.from(signature);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,97 @@
+/**
+ * Client Overview
+ *
+ * Backs the dashboard's client picker and landing view.
+ *
+ * Usage:
+ *   GET /clients         → { clients: [{ id, name, timeZone, isDefault }] }
+ *   GET /clients?days=7  → Same, each with the window's totals (or its error)
+ *   ...&source=queue     → Totals from the webhook queue instead of CallRail
+ *
+ * Needs the viewer role. Clients come from netlify/lib/clients.js.
+ * CallRail's time budget (CALLRAIL_TIME_BUDGET_MS) is shared between
+ * the clients, so with many clients the totals may be truncated - open
+ * the client itself for the full window.
+ */
+
+const { connectStore } = require('../lib/store');
+const { corsHeaders, authenticate } = require('../lib/auth');
+const { loadPricing } = require('../lib/pricing');
+const { listClients } = require('../lib/clients');
+const { loadCalls, prepareConversions } = require('../lib/export');
+const { TIME_BUDGET_MS } = require('../lib/callrail');
+
+exports.handler = async (event) => {
+  const headers = corsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers };
+  }
+
+  const json = (statusCode, body) => ({
+    statusCode,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  });
+
+  try {
+    connectStore(event);
+    authenticate(event, 'viewer');
+
+    const params = event.queryStringParameters || {};
+    const registry = listClients();
+    const clients = registry.map(c => ({
+      id: c.id,
+      name: c.name,
+      timeZone: c.timeZone,
+      isDefault: c.isDefault
+    }));
+
+    if (!params.days) {
+      return json(200, { success: true, clients });
+    }
+
+    const endDate = new Date();
+    const startDate = new Date(endDate - (parseInt(params.days) || 7) * 24 * 60 * 60 * 1000);
+    const deadline = Date.now() + TIME_BUDGET_MS;
+
+    for (const [i, client] of registry.entries()) {
+      // Share what's left of the budget between the clients still to go
+      const timeBudgetMs = Math.max(500, (deadline - Date.now()) / (registry.length - i));
+      try {
+        clients[i].totals = await clientTotals(client, startDate, endDate, params.source, timeBudgetMs);
+      } catch (error) {
+        console.error(`Error totalling ${client.id}:`, error);
+        clients[i].error = error.message;
+      }
+    }
+
+    return json(200, {
+      success: true,
+      dateRange: { from: startDate.toISOString(), to: endDate.toISOString() },
+      clients
+    });
+
+  } catch (error) {
+    console.error('Error:', error);
+    return json(error.statusCode || 500, { success: false, error: error.message });
+  }
+};
+
+async function clientTotals(client, startDate, endDate, source, timeBudgetMs) {
+  const { calls, priorCalls, truncated } = await loadCalls(startDate, endDate, client, { source, timeBudgetMs });
+  const pricing = await loadPricing(client);
+  const { stats, uniqueCallers } = await prepareConversions(calls, pricing, client, { priorCalls });
+
+  return {
+    calls: stats.totalCalls,
+    withClickId: stats.withClickId,
+    withValue: stats.withValue,
+    totalValue: Math.round(stats.totalValue * 100) / 100,
+    uniqueCallers,
+    newConversions: stats.newConversions,
+    alreadyExported: stats.alreadyExported,
+    pendingAdjustments: stats.pendingAdjustments,
+    truncated: truncated ? truncated.reason : null
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * Conversion Reporting API
+ *
+ * Backs the dashboard's Reports tab: conversions, sales calls and value
+ * by campaign, source, tier, product, day and week, each against the
+ * period of the same length just before it (netlify/lib/reporting.js).
+ *
+ * Usage:
+ *   /conversion-report                         → Last 30 days vs. the 30 before
+ *   /conversion-report?days=7                  → Last 7 days vs. the 7 before
+ *   /conversion-report?from=2026-09-01&to=2026-09-30 → A date range in the client's time zone
+ *   ...&source=queue                           → Calls captured by callrail-webhook
+ *   ...&attribution=last_click                 → Split repeat callers' value by another model
+ *   ...&enhanced=true                          → Count phone-only calls (enhanced conversions)
+ *   ...&client=phone-lead                      → Another client
+ *
+ * The periods share one CallRail time budget, fetched newest first: this
+ * period, the previous one, then the attribution lookback behind it. When
+ * the budget runs out it's the comparison that comes up short, not this
+ * period; a truncated period on either side leaves the changes out
+ * (comparable: false). Values are what an export would send now - current
+ * pricing, no ledger - so they can differ from what Google Ads was given
+ * at the time. Needs the viewer role.
+ */
+
+const { connectStore } = require('../lib/store');
+const { corsHeaders, authenticate } = require('../lib/auth');
+const { loadPricing } = require('../lib/pricing');
+const { buildConversions } = require('../lib/conversions');
+const { getClient } = require('../lib/clients');
+const { MODELS } = require('../lib/attribution');
+const { TIME_BUDGET_MS } = require('../lib/callrail');
+const { conversionOptions, readCalls } = require('../lib/export');
+const { resolveWindow } = require('../lib/windows');
+const { buildReport } = require('../lib/reporting');
+
+exports.handler = async (event) => {
+  const headers = corsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers };
+  }
+
+  const json = (statusCode, body) => ({
+    statusCode,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  });
+
+  try {
+    connectStore(event);
+    authenticate(event, 'viewer');
+
+    const params = event.queryStringParameters || {};
+    const client = getClient(params.client);
+    if (params.attribution && !MODELS[params.attribution]) {
+      return json(400, {
+        success: false,
+        error: `Unknown attribution model "${params.attribution}" - use ${Object.keys(MODELS).join(', ')}`
+      });
+    }
+    const attribution = { ...client.attribution, ...(params.attribution && { model: params.attribution }) };
+    const enhanced = params.enhanced === 'true';
+
+    const { startDate, endDate, hours } = resolveWindow(params, client, { defaultDays: 30 });
+    const previousStart = new Date(startDate - (endDate - startDate));
+
+    // Newest first under one budget, so running out cuts the comparison
+    const deadline = Date.now() + TIME_BUDGET_MS;
+    const read = (from, to) => readCalls(from, to, client, { source: params.source, timeBudgetMs: Math.max(0, deadline - Date.now()) });
+    const lookbackMs = attribution.lookbackDays * 24 * 60 * 60 * 1000;
+    const current = await read(startDate, endDate);
+    const previous = await read(previousStart, startDate);
+    const prior = lookbackMs ? await read(new Date(previousStart - lookbackMs), previousStart) : { calls: [], truncated: null };
+
+    const currentCalls = current.calls;
+    const previousCalls = previous.calls;
+    const priorCalls = prior.calls;
+    // The previous period is history for this one - as far back as the
+    // client's attribution lookback, like an export
+    const lookbackStart = new Date(startDate - lookbackMs);
+    const history = [...priorCalls, ...previousCalls].filter(call => new Date(call.start_time) >= lookbackStart);
+    const comparable = !current.truncated && !previous.truncated;
+
+    const pricing = await loadPricing(client);
+    const value = (periodCalls, earlierCalls) =>
+      buildConversions(periodCalls, pricing, conversionOptions(client, { enhanced, attribution, priorCalls: earlierCalls })).conversions;
+
+    const report = buildReport(
+      { calls: currentCalls, conversions: value(currentCalls, history), startDate, endDate },
+      { calls: previousCalls, conversions: value(previousCalls, priorCalls), startDate: previousStart, endDate: startDate },
+      { timeZone: client.timeZone, comparable }
+    );
+
+    return json(200, {
+      success: true,
+      client: { id: client.id, name: client.name },
+      window: {
+        current: { from: startDate.toISOString(), to: endDate.toISOString() },
+        previous: { from: previousStart.toISOString(), to: startDate.toISOString() },
+        hours,
+        timeZone: client.timeZone
+      },
+      pricingVersion: pricing.version,
+      attribution: attribution.model,
+      truncated: current.truncated || null,
+      previousTruncated: previous.truncated || null,
+      lookbackTruncated: !!prior.truncated,
+      comparable,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Error:', error);
+    return json(error.statusCode || 500, { success: false, error: error.message });
+  }
+};
@@ -0,0 +1,157 @@
+/**
+ * Export Batch Review & Approval
+ *
+ * The reviewed path to Google Ads: draft a batch, check its rows and
+ * the diff against the last approved batch, adjust, approve - then
+ * download or upload exactly what was approved (netlify/lib/batches.js).
+ *
+ * Usage:
+ *   GET  /export-batches                         → { batches } newest first
+ *   GET  /export-batches?id=<id>                 → { batch, diff } rows + changes since the last approval
+ *   GET  /export-batches?id=<id>&format=csv      → Download an approved batch
+ *   POST /export-batches { action: 'create', days: 7, onlyNew, enhanced, source, attribution }
+ *                                                → New draft from the current window
+ *   POST { action: 'create', from: '2026-09-01', to: '2026-09-30', ... }
+ *                                                → New draft for a date range (client's time zone)
+ *   POST { action: 'update', id, rows: [{ key, include, value }] }
+ *                                                → Include / exclude rows, override values (null clears)
+ *   POST { action: 'approve', id }               → Freeze the draft for export
+ *   POST { action: 'discard', id }               → Drop a draft
+ *   POST { action: 'upload', id }                → Upload an approved batch via the Google Ads API
+ *   ...?client=phone-lead                        → Another client's batches
+ *
+ * Listing and reviewing need the viewer role; everything that changes a
+ * batch or exports it needs the exporter role. Every step is stamped
+ * with the user and time in the batch's history.
+ *
+ * Exported rows go into the export ledger like any other export, so
+ * onlyNew drafts skip them, and downloading or uploading a batch again
+ * only sends the rows the ledger doesn't have (X-Already-Exported /
+ * upload.alreadyExported count the rest). Overridden values are pinned
+ * in the ledger: later recalculations won't restate them (a drop to $0
+ * still retracts).
+ */
+
+const { connectStore } = require('../lib/store');
+const { corsHeaders, authenticate } = require('../lib/auth');
+const { toCsv } = require('../lib/csv');
+const { getClient } = require('../lib/clients');
+const { MODELS } = require('../lib/attribution');
+const { conversionColumns } = require('../lib/export');
+const { recordExports } = require('../lib/ledger');
+const { resolveWindow } = require('../lib/windows');
+const { uploadClickConversions } = require('../lib/google-ads');
+const { parseJsonBody } = require('../lib/request');
+const {
+  draftBatch,
+  getBatch,
+  listBatches,
+  lastApprovedBatch,
+  updateBatch,
+  approveBatch,
+  discardBatch,
+  recordBatchEvent,
+  pendingRows,
+  diffBatches
+} = require('../lib/batches');
+
+exports.handler = async (event) => {
+  const headers = corsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers };
+  }
+
+  const json = (statusCode, body) => ({
+    statusCode,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  });
+
+  try {
+    connectStore(event);
+
+    const params = event.queryStringParameters || {};
+    const client = getClient(params.client);
+
+    if (event.httpMethod === 'POST') {
+      const user = authenticate(event, 'exporter');
+      const body = parseJsonBody(event.body);
+
+      switch (body.action) {
+        case 'create': {
+          if (body.attribution && !MODELS[body.attribution]) {
+            return json(400, { success: false, error: `Unknown attribution model "${body.attribution}"` });
+          }
+          const batch = await draftBatch(client, resolveWindow(body, client), body, user);
+          console.log(`Batch ${batch.id} drafted for ${client.id} by ${user.name}: ${batch.rows.length} rows`);
+          return json(200, await withDiff(client, batch));
+        }
+        case 'update':
+          return json(200, await withDiff(client, await updateBatch(client, body.id, body.rows, user)));
+        case 'approve': {
+          const batch = await approveBatch(client, body.id, user);
+          console.log(`Batch ${batch.id} for ${client.id} approved by ${user.name}`);
+          return json(200, await withDiff(client, batch));
+        }
+        case 'discard':
+          return json(200, await withDiff(client, await discardBatch(client, body.id, user)));
+        case 'upload': {
+          const batch = await getBatch(client, body.id);
+          const { rows, alreadyExported } = await pendingRows(batch);
+          const upload = await uploadClickConversions(rows, client.googleAds.customerId);
+          const accepted = rows.filter((c, i) => upload.results[i].status === 'uploaded');
+          await recordExports(accepted, 'upload');
+          const detail = `${upload.uploaded} accepted, ${upload.failed} failed, ${alreadyExported} already exported`;
+          await recordBatchEvent(client, batch.id, 'uploaded', user, detail);
+          console.log(`Batch ${batch.id} uploaded by ${user.name}: ${detail}`);
+          return json(200, { success: true, upload: { ...upload, alreadyExported } });
+        }
+        default:
+          return json(400, { success: false, error: 'action must be create, update, approve, discard or upload' });
+      }
+    }
+
+    // Approved batch as the Google Ads template CSV
+    if (params.id && params.format === 'csv') {
+      const user = authenticate(event, 'exporter');
+      const batch = await getBatch(client, params.id);
+      const { rows, alreadyExported } = await pendingRows(batch);
+      const csv = toCsv(rows, conversionColumns(batch.options.enhanced), {
+        timeZone: params.template === 'false' ? null : client.timeZone,
+        layout: params.layout === 'sheets' ? 'sheets' : 'csv'
+      });
+      await recordExports(rows, 'csv');
+      await recordBatchEvent(client, batch.id, 'downloaded', user, `${rows.length} rows, ${alreadyExported} already exported`);
+
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': 'text/csv',
+          'Content-Disposition': `attachment; filename="callrail_gads_conversions_${batch.id}.csv"`,
+          'X-Pricing-Version': String(batch.pricingVersion),
+          'X-Already-Exported': String(alreadyExported)
+        },
+        body: csv
+      };
+    }
+
+    authenticate(event, 'viewer');
+
+    if (params.id) {
+      return json(200, await withDiff(client, await getBatch(client, params.id)));
+    }
+
+    return json(200, { success: true, batches: await listBatches(client, parseInt(params.limit) || 30) });
+
+  } catch (error) {
+    console.error('Error:', error);
+    return json(error.statusCode || 500, { success: false, error: error.message });
+  }
+};
+
+async function withDiff(client, batch) {
+  const previous = await lastApprovedBatch(client, { before: batch.id });
+  return { success: true, batch, diff: diffBatches(batch, previous) };
+}
@@ -0,0 +1,46 @@
+/**
+ * Export Run History
+ *
+ * Usage:
+ *   GET /export-runs           → { runs } scheduled export runs, newest first (last 30)
+ *   GET /export-runs?type=feed → { runs } Google Ads fetches of gads-feed
+ *   GET /export-runs?type=backfill → { runs } Backfill jobs and their progress
+ *   GET /export-runs?limit=100 → More history
+ *
+ * Needs the viewer role. Entries are written by scheduled-export,
+ * gads-feed and backfill-background (netlify/lib/run-log.js).
+ */
+
+const { connectStore } = require('../lib/store');
+const { corsHeaders, authenticate } = require('../lib/auth');
+const { listRuns, listFeedFetches, listBackfills } = require('../lib/run-log');
+
+const LISTS = { feed: listFeedFetches, backfill: listBackfills };
+
+exports.handler = async (event) => {
+  const headers = corsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers };
+  }
+
+  const json = (statusCode, body) => ({
+    statusCode,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  });
+
+  try {
+    connectStore(event);
+    authenticate(event, 'viewer');
+
+    const params = event.queryStringParameters || {};
+    const limit = parseInt(params.limit) || 30;
+    const runs = await (LISTS[params.type] || listRuns)(limit);
+    return json(200, { success: true, runs });
+
+  } catch (error) {
+    console.error('Error:', error);
+    return json(error.statusCode || 500, { success: false, error: error.message });
+  }
+};
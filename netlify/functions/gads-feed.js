@@ -0,0 +1,142 @@
+/**
+ * Google Ads Scheduled Upload Feed
+ *
+ * A stable HTTPS URL Google Ads can fetch offline conversions from on a
+ * schedule, so nobody has to download and upload the CSV by hand:
+ *
+ *   https://<site>/feeds/google-ads.csv            (default client)
+ *   https://<site>/feeds/<client>/google-ads.csv   (any client in the registry)
+ *
+ * In Google Ads: Goals → Conversions → Uploads → Schedules → HTTPS,
+ * with the FEED_USERNAME / FEED_PASSWORD basic auth credentials. These
+ * are separate from dashboard logins and only open this feed.
+ *
+ * Each GET serves the last FEED_WINDOW_DAYS (default 7) of calls as a
+ * Google template CSV - always with the Parameters:TimeZone line - and
+ * only the rows the export ledger hasn't seen. Served rows are written
+ * to the ledger (via 'feed'), so the next fetch carries only what's new
+ * and a rolling window never duplicates conversions. HEAD requests
+ * report the row count without marking anything.
+ *
+ * The feed skips batch review, so it answers 403 unless the deploy opts
+ * out of approval with ALLOW_UNREVIEWED_EXPORTS=true (netlify/lib/batches.js).
+ *
+ * Options:
+ *   FEED_WINDOW_DAYS=7   → Trailing window
+ *   FEED_ENHANCED=true   → Include hashed phones (enhanced conversions)
+ *   FEED_SOURCE=queue    → Read the webhook queue instead of CallRail
+ *
+ * Every fetch, including rejected credentials, is logged
+ * (netlify/lib/run-log.js); see /.netlify/functions/export-runs?type=feed.
+ */
+
+const { connectStore } = require('../lib/store');
+const { basicAuth } = require('../lib/auth');
+const { toCsv } = require('../lib/csv');
+const { loadPricing } = require('../lib/pricing');
+const { getClient } = require('../lib/clients');
+const { conversionColumns, loadCalls, prepareConversions } = require('../lib/export');
+const { ledgerKey, recordExports } = require('../lib/ledger');
+const { recordFeedFetch } = require('../lib/run-log');
+const { assertUnreviewedAllowed } = require('../lib/batches');
+
+const CONFIG = {
+  username: process.env.FEED_USERNAME,
+  password: process.env.FEED_PASSWORD,
+  windowDays: parseInt(process.env.FEED_WINDOW_DAYS) || 7,
+  enhanced: process.env.FEED_ENHANCED === 'true',
+  source: process.env.FEED_SOURCE
+};
+
+exports.handler = async (event) => {
+  const headers = event.headers || {};
+  const entry = {
+    fetchedAt: new Date().toISOString(),
+    method: event.httpMethod,
+    ip: headers['x-nf-client-connection-ip'] || headers['client-ip'] || null,
+    userAgent: headers['user-agent'] || null
+  };
+
+  const response = await serveFeed(event, entry);
+  entry.status = response.statusCode;
+
+  try {
+    await recordFeedFetch(entry);
+  } catch (error) {
+    console.error('Could not record feed fetch:', error);
+  }
+
+  console.log(`Feed${entry.client ? ` ${entry.client}` : ''} ${entry.method} ${entry.status}: ${entry.rows ?? 0} rows, $${(entry.totalValue || 0).toFixed(2)}${entry.userAgent ? ` (${entry.userAgent})` : ''}`);
+  return response;
+};
+
+async function serveFeed(event, entry) {
+  const text = (statusCode, body, extra = {}) => ({
+    statusCode,
+    headers: { 'Content-Type': 'text/plain', ...extra },
+    body
+  });
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+    return text(405, 'Method not allowed', { 'Allow': 'GET, HEAD' });
+  }
+
+  try {
+    connectStore(event);
+
+    try {
+      basicAuth(event, CONFIG);
+    } catch (error) {
+      entry.error = error.message;
+      return text(error.statusCode || 500, error.message, error.statusCode === 401
+        ? { 'WWW-Authenticate': 'Basic realm="Google Ads conversions feed"' }
+        : {});
+    }
+
+    const client = getClient((event.queryStringParameters || {}).client);
+    entry.client = client.id;
+    assertUnreviewedAllowed('The Google Ads feed');
+
+    const endDate = new Date();
+    const startDate = new Date(endDate - CONFIG.windowDays * 24 * 60 * 60 * 1000);
+    entry.window = { from: startDate.toISOString(), to: endDate.toISOString(), timeZone: client.timeZone };
+
+    const { calls, priorCalls, truncated } = await loadCalls(startDate, endDate, client, { source: CONFIG.source });
+    const pricing = await loadPricing(client);
+    const { conversions, exported } =
+      await prepareConversions(calls, pricing, client, { enhanced: CONFIG.enhanced, priorCalls });
+    const rows = conversions.filter(c => !exported[ledgerKey(c)]);
+
+    Object.assign(entry, {
+      calls: calls.length,
+      rows: rows.length,
+      totalValue: Math.round(rows.reduce((sum, c) => sum + c.conversionValue, 0) * 100) / 100,
+      pricingVersion: pricing.version,
+      truncated: truncated || null
+    });
+
+    // Always the full template, even with no rows, so Google's parser is happy
+    const csv = toCsv(rows, conversionColumns(CONFIG.enhanced), { timeZone: client.timeZone });
+
+    if (event.httpMethod === 'GET') {
+      await recordExports(rows, 'feed');
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'text/csv',
+        'Content-Disposition': 'inline; filename="callrail_gads_conversions.csv"',
+        'Cache-Control': 'no-store',
+        'X-Pricing-Version': String(pricing.version),
+        'X-Row-Count': String(rows.length)
+      },
+      body: event.httpMethod === 'HEAD' ? '' : csv
+    };
+
+  } catch (error) {
+    console.error('Error:', error);
+    entry.error = error.message;
+    return text(error.statusCode || 500, `Feed error: ${error.message}`);
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Pricing Admin API
+ *
+ * Backs the dashboard's Pricing tab.
+ *
+ * Usage:
+ *   GET  /pricing-config              → { pricing, versions }
+ *   GET  /pricing-config?version=3    → One saved version
+ *   POST /pricing-config { pricing }   → Validate and save as the next version
+ *   ...?client=phone-lead             → Another client's price list
+ *
+ * Reading needs the viewer role, saving the exporter role; the saved
+ * version is stamped with the logged-in user's name.
+ *
+ * Invalid price lists are rejected with 400 and a list of problems;
+ * nothing is saved. Use sync-gads-conversions?format=preview to see how
+ * a draft would change the current window before saving it.
+ */
+
+const { connectStore } = require('../lib/store');
+const { corsHeaders, authenticate } = require('../lib/auth');
+const { getClient } = require('../lib/clients');
+const { parseJsonBody } = require('../lib/request');
+const {
+  loadPricing,
+  validatePricing,
+  savePricing,
+  getPricingVersion,
+  listPricingVersions
+} = require('../lib/pricing');
+
+exports.handler = async (event) => {
+  const headers = corsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers };
+  }
+
+  const json = (statusCode, body) => ({
+    statusCode,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  });
+
+  try {
+    connectStore(event);
+
+    const params = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'POST') {
+      const user = authenticate(event, 'exporter');
+      const { pricing } = parseJsonBody(event.body);
+      const errors = validatePricing(pricing);
+      if (errors.length) {
+        return json(400, { success: false, error: 'Invalid pricing', details: errors });
+      }
+
+      const client = getClient(params.client);
+      const saved = await savePricing(client, pricing, user.name);
+      console.log(`Pricing version ${saved.version} for ${client.id} saved by ${saved.updatedBy}`);
+      return json(200, { success: true, pricing: saved });
+    }
+
+    authenticate(event, 'viewer');
+
+    const client = getClient(params.client);
+    if (params.version) {
+      const pricing = await getPricingVersion(client, params.version);
+      if (!pricing) {
+        return json(404, { success: false, error: `Pricing version ${params.version} not found` });
+      }
+      return json(200, { success: true, pricing });
+    }
+
+    return json(200, {
+      success: true,
+      pricing: await loadPricing(client),
+      versions: await listPricingVersions(client)
+    });
+
+  } catch (error) {
+    console.error('Error:', error);
+    return json(error.statusCode || 500, { success: false, error: error.message });
+  }
+};
@@ -0,0 +1,215 @@
+/**
+ * Scheduled Google Ads Export
+ *
+ * Runs the onlyNew export on a cron and delivers the file without anyone
+ * opening the dashboard. The schedule lives in netlify.toml:
+ *
+ *   [functions."scheduled-export"]
+ *     schedule = "0 13 * * *"   # 6am America/Phoenix (UTC-7, no DST)
+ *
+ * Netlify crons are UTC - convert from the account's time zone when
+ * changing it.
+ *
+ * Each run exports the last EXPORT_WINDOW_DAYS (default 7) of calls,
+ * keeps only rows the export ledger hasn't seen, and hands the CSV to
+ * every EXPORT_DELIVERY target (email, sftp, sheets - see
+ * netlify/lib/delivery.js). Each target gets only the rows it doesn't
+ * have yet: after a partial run the targets that failed get them again,
+ * the ones that succeeded don't. Rows are written to the ledger once
+ * every target has them (netlify/lib/ledger.js).
+ * Every client in the registry is exported separately, in its own time
+ * zone and to its own "delivery" overrides (email address, SFTP path,
+ * spreadsheet).
+ * Clients with a GA4 property in the registry ("ga4") also get each
+ * new valued call sent to it as an event (netlify/lib/ga4.js), whatever
+ * happened to the file. run.ga4.fallbackClientIds counts the events sent
+ * without the visitor's GA client ID, which GA4 can't attribute.
+ *
+ * Options:
+ *   EXPORT_WINDOW_DAYS=7        → Trailing window, overlapping runs are safe
+ *   EXPORT_ENHANCED=true        → Include hashed phones (enhanced conversions)
+ *   EXPORT_SOURCE=queue         → Read the webhook queue instead of CallRail
+ *   EXPORT_TIME_BUDGET_MS=25000 → CallRail paging budget for all clients (scheduled functions get 30s)
+ *   EXPORT_CLIENTS=phone-lead   → Only these clients (default: all)
+ *
+ * The cron skips batch review, so every run fails unless the deploy opts
+ * out of approval with ALLOW_UNREVIEWED_EXPORTS=true (netlify/lib/batches.js).
+ *
+ * Every run is logged (netlify/lib/run-log.js) with its counts, value and
+ * per-target outcome; read them from /.netlify/functions/export-runs.
+ */
+
+const { connectStore } = require('../lib/store');
+const { toCsv, parseCsv } = require('../lib/csv');
+const { loadPricing } = require('../lib/pricing');
+const { listClients } = require('../lib/clients');
+const { conversionColumns, loadCalls, prepareConversions, prepareGa4Events } = require('../lib/export');
+const { ledgerKey, recordExports, lookupDeliveries, recordDeliveries, clearDeliveries } = require('../lib/ledger');
+const { deliveryTargets, deliver } = require('../lib/delivery');
+const { recordRun } = require('../lib/run-log');
+const { sendGa4Events } = require('../lib/ga4');
+const { assertUnreviewedAllowed } = require('../lib/batches');
+
+const CONFIG = {
+  clients: (process.env.EXPORT_CLIENTS || '').split(',').map(c => c.trim()).filter(Boolean),
+  windowDays: parseInt(process.env.EXPORT_WINDOW_DAYS) || 7,
+  enhanced: process.env.EXPORT_ENHANCED === 'true',
+  source: process.env.EXPORT_SOURCE,
+  timeBudgetMs: parseInt(process.env.EXPORT_TIME_BUDGET_MS) || 25000
+};
+
+exports.handler = async (event) => {
+  const runs = [];
+
+  try {
+    connectStore(event);
+    assertUnreviewedAllowed('The scheduled export');
+
+    const targets = deliveryTargets();
+    if (!targets.length) {
+      throw new Error('EXPORT_DELIVERY is not configured (email, sftp and/or sheets)');
+    }
+
+    const clients = listClients().filter(c => !CONFIG.clients.length || CONFIG.clients.includes(c.id));
+    const deadline = Date.now() + CONFIG.timeBudgetMs;
+
+    for (const [i, client] of clients.entries()) {
+      // Share what's left of the budget between the clients still to go
+      const timeBudgetMs = Math.max(1000, (deadline - Date.now()) / (clients.length - i));
+      runs.push(await exportClient(client, targets, timeBudgetMs));
+    }
+
+  } catch (error) {
+    console.error('Error:', error);
+    runs.push(await logRun({ startedAt: new Date().toISOString(), status: 'failed', error: error.message }));
+  }
+
+  return {
+    statusCode: runs.some(r => r.status === 'failed') ? 500 : 200,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ runs })
+  };
+};
+
+async function exportClient(client, targets, timeBudgetMs) {
+  const run = { startedAt: new Date().toISOString(), client: client.id };
+
+  try {
+    const endDate = new Date();
+    const startDate = new Date(endDate - CONFIG.windowDays * 24 * 60 * 60 * 1000);
+    run.window = { from: startDate.toISOString(), to: endDate.toISOString(), timeZone: client.timeZone };
+
+    const { calls, priorCalls, truncated } = await loadCalls(startDate, endDate, client, {
+      source: CONFIG.source,
+      timeBudgetMs
+    });
+    const pricing = await loadPricing(client);
+    const { conversions, stats, exported } =
+      await prepareConversions(calls, pricing, client, { enhanced: CONFIG.enhanced, priorCalls });
+    const rows = conversions.filter(c => !exported[ledgerKey(c)]);
+    const totalValue = Math.round(rows.reduce((sum, c) => sum + c.conversionValue, 0) * 100) / 100;
+
+    Object.assign(run, {
+      calls: calls.length,
+      conversions: conversions.length,
+      newConversions: stats.newConversions,
+      alreadyExported: stats.alreadyExported,
+      totalValue,
+      pricingVersion: pricing.version,
+      truncated: truncated || null
+    });
+
+    if (rows.length === 0) {
+      run.status = 'nothing_new';
+      run.deliveries = [];
+    } else {
+      const columns = conversionColumns(CONFIG.enhanced);
+      const fileOf = targetRows => ({
+        filename: `callrail_gads_conversions_${client.id}_${endDate.toISOString().split('T')[0]}.csv`,
+        csv: toCsv(targetRows, columns, { timeZone: client.timeZone }),
+        sheetRows: parseCsv(toCsv(targetRows, columns, { timeZone: client.timeZone, layout: 'sheets' })),
+        summary: {
+          client: client.name,
+          rows: targetRows.length,
+          totalValue: Math.round(targetRows.reduce((sum, c) => sum + c.conversionValue, 0) * 100) / 100,
+          from: run.window.from,
+          to: run.window.to
+        },
+        overrides: client.delivery,
+        createdAt: endDate
+      });
+
+      // Each target only gets what an earlier partial run didn't give it
+      const delivered = await lookupDeliveries(rows, targets);
+      run.deliveries = [];
+      for (const target of targets) {
+        const targetRows = rows.filter(c => !delivered[target].has(ledgerKey(c)));
+        if (!targetRows.length) {
+          run.deliveries.push({ target, status: 'delivered', rows: 0, detail: 'already has every row' });
+          continue;
+        }
+        const [result] = await deliver([target], fileOf(targetRows));
+        run.deliveries.push({ ...result, rows: targetRows.length });
+        if (result.status === 'delivered') {
+          await recordDeliveries(targetRows, target);
+          for (const c of targetRows) delivered[target].add(ledgerKey(c));
+        }
+      }
+
+      const everywhere = rows.filter(c => targets.every(target => delivered[target].has(ledgerKey(c))));
+      if (everywhere.length) {
+        await recordExports(everywhere, 'scheduled');
+        await clearDeliveries(everywhere, targets);
+      }
+      const succeeded = run.deliveries.filter(d => d.status === 'delivered').length;
+      run.status = succeeded === targets.length ? 'delivered' : succeeded ? 'partial' : 'failed';
+    }
+
+    if (client.ga4.measurementId) {
+      run.ga4 = await sendToGa4(calls, pricing, client, priorCalls);
+    }
+
+  } catch (error) {
+    console.error(`Error exporting ${client.id}:`, error);
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  return logRun(run);
+}
+
+// GA4 is reported on its own - it doesn't change the file's status
+async function sendToGa4(calls, pricing, client, priorCalls) {
+  try {
+    const { events, alreadySent } = await prepareGa4Events(calls, pricing, client, { priorCalls });
+    const { sent, failed, skipped, fallbackClientIds, results } = await sendGa4Events(events, client.ga4);
+    await recordExports(events.filter((e, i) => results[i].status === 'sent'), 'scheduled', 'ga4');
+    return {
+      status: !events.length ? 'nothing_new' : !failed ? 'delivered' : sent ? 'partial' : 'failed',
+      events: events.length,
+      alreadySent,
+      sent,
+      failed,
+      skipped,
+      fallbackClientIds,
+      errors: [...new Set(results.filter(r => r.error).map(r => r.error))]
+    };
+  } catch (error) {
+    console.error(`Error sending ${client.id} to GA4:`, error);
+    return { status: 'failed', error: error.message };
+  }
+}
+
+async function logRun(run) {
+  run.finishedAt = new Date().toISOString();
+  try {
+    await recordRun(run);
+  } catch (error) {
+    console.error('Could not record run:', error);
+  }
+
+  console.log(`Scheduled export${run.client ? ` ${run.client}` : ''} ${run.status}: ${run.newConversions ?? 0} new of ${run.conversions ?? 0}, $${(run.totalValue || 0).toFixed(2)}` +
+    (run.deliveries?.length ? ` → ${run.deliveries.map(d => `${d.target} ${d.status}`).join(', ')}` : '') +
+    (run.ga4 ? `, GA4 ${run.ga4.status}${run.ga4.fallbackClientIds ? ` (${run.ga4.fallbackClientIds} without a GA client ID)` : ''}` : ''));
+  return run;
+}
@@ -5,13 +5,86 @@
  * and outputs a CSV ready for manual upload to Google Ads.
  * 
  * NO Google credentials needed - just CallRail API key.
+ * Requests must be authenticated (netlify/lib/auth.js): viewers get the
+ * JSON views, only exporters can download or upload conversion files.
+ * Accounts with Google Ads API access can skip the manual upload
+ * with format=upload (see netlify/lib/google-ads.js for the env vars).
+ * Calls are matched on GCLID, or on WBRAID / GBRAID for iOS clicks
+ * (exactly one ID per row, see extractClickId in netlify/lib/conversions.js).
+ * With enhanced=true every row also carries the caller's SHA-256 hashed
+ * E.164 phone number, and calls with no click ID at all are exported
+ * on the phone hash alone (enhanced conversions for leads).
+ * Conversion times are written in the client's time zone (GADS_TIME_ZONE
+ * by default, America/Phoenix if unset) - set it to the Google Ads
+ * account's time zone.
  * 
  * Usage:
  *   /sync-gads-conversions?hours=168          → JSON summary
  *   /sync-gads-conversions?hours=168&format=csv → Download CSV
  *   /sync-gads-conversions?days=7&format=csv   → Same thing, 7 days
+ *   /sync-gads-conversions?days=7&format=upload → Upload via Google Ads API
+ *   /sync-gads-conversions?days=7&format=ga4   → Send to GA4 over the Measurement Protocol
+ *   ...&onlyNew=true                           → Skip calls already exported
+ *   /sync-gads-conversions?days=7&format=adjustments → Adjustments CSV
+ *   /sync-gads-conversions?from=2026-09-01&to=2026-09-30 → Absolute range in the client's
+ *                                                time zone (netlify/lib/windows.js)
+ *   ...&resumeFrom=2026-01-08                  → Continue a truncated run
+ *   ...&template=false                         → CSV without the Parameters:TimeZone line
+ *   ...&layout=sheets                          → Pad rows for Google's XLSX / Sheets template
+ *   ...&enhanced=true                          → Enhanced conversions for leads (hashed phone)
+ *   POST ?days=7&format=preview { pricing }    → Window totals under current vs. draft pricing
+ *   ...&source=queue                           → Use calls captured by callrail-webhook
+ *                                                instead of polling the CallRail API
+ *   ...&client=phone-lead                      → Another client from the registry
+ *                                                (netlify/lib/clients.js), default otherwise
+ *   ...&attribution=last_click                 → Split repeat callers' value by another model
+ *                                                (even, first_click, last_click, time_decay)
+ *
+ * Long windows are fetched in CALLRAIL_CHUNK_DAYS chunks (default 7,
+ * see netlify/lib/callrail.js). If the run would outlast the function timeout the oldest complete
+ * chunks are returned, stats.truncated says so and resumeUrl picks up
+ * where it stopped, keeping the original end. CSV downloads of a cut-short
+ * run carry X-Truncated, X-Resume-From and X-Resume-Url headers instead,
+ * and the csvUrl / adjustmentsUrl of a resumed run keep its resumeFrom. Ranges longer than one run can fetch go through
+ * backfill-background instead, which walks them in one background run.
+ *
+ * Every CSV download and successful upload is written to the export
+ * ledger (netlify/lib/ledger.js), so overlapping windows can be
+ * exported with onlyNew=true without duplicating rows in Google Ads.
+ * Importing Google's upload results (upload-results) marks the rows it
+ * refused; the fixable ones count as new again.
+ * scheduled-export runs the same onlyNew export on a cron and delivers
+ * it by email, SFTP or Google Sheets; gads-feed serves it as a basic-auth
+ * HTTPS feed for Google Ads scheduled uploads. The dashboard exports
+ * through reviewed, approved batches instead (export-batches); format=csv,
+ * upload, adjustments and ga4 here are the unreviewed path for scripts,
+ * and answer 403 unless the deploy sets ALLOW_UNREVIEWED_EXPORTS=true (as
+ * do the feed and the cron).
+ * When a caller's value changes after export (new call, edited lead
+ * score, refund tag) the ledger diff produces RESTATEMENT rows, and
+ * RETRACTION rows for calls that dropped to $0.
+ * format=ga4 sends one event per valued call to the client's GA4
+ * property instead (netlify/lib/ga4.js), click ID or not. It shares the
+ * ledger under its own keys and always skips calls GA4 already has.
+ * Repeat callers are grouped across the client's attribution lookback
+ * and their value split by its model (netlify/lib/attribution.js); each
+ * JSON row's "attribution" explains its share.
  * 
- * Value Tiers (Glen's formula):
+ * Prices, tier multipliers and score thresholds come from
+ * netlify/lib/pricing.js (config/pricing.json unless edited from the
+ * dashboard); every exported row records the pricing version used.
+ * The product behind each call is found by netlify/lib/product-rules.js,
+ * and the JSON view shows which rule and text matched.
+ * CallRail's own value field, tags, milestones and lead status can set
+ * the value ahead of the lead score (netlify/lib/value-sources.js); each
+ * row's "valueSource" says which one did. Calls failing the client's
+ * qualification rules (netlify/lib/qualification.js) are never valued;
+ * stats.excluded counts them per rule. Rows Google Ads would reject
+ * because the click is too old or after the call (netlify/lib/click-age.js)
+ * are left out of every export; the JSON view lists them with
+ * "rejection" set and stats.rejected counts them per reason.
+ *
+ * Value Tiers (Glen's formula, default thresholds):
  *   Very Good (80%+):  100% of product price (Converted)
  *   Good (60-79%):     75% of product price  (Hot Lead)
  *   Fair (40-59%):     50% of product price  (Good Lead)
@@ -19,150 +92,238 @@
  *   Very Poor (<20%):  $0                    (Not Good)
  */
 
-const CONFIG = {
-  callrail: {
-    apiKey: process.env.CALLRAIL_API_KEY,
-    accountId: process.env.CALLRAIL_ACCOUNT_ID
-  },
-  products: {
-    '3': 895, '5': 1095, '7': 1395, '10': 1995,
-    '15': 2495, '20': 2995, '25': 3495, '30': 3995,
-    '40': 4995, '50': 5995, '60': 6995, '75': 8495, '100': 10995,
-    'default': 3500
-  },
-  tiers: {
-    'very_poor': 0,
-    'poor': 0.25,
-    'fair': 0.50,
-    'good': 0.75,
-    'very_good': 1.0
-  }
-};
+const { connectStore } = require('../lib/store');
+const { corsHeaders, authenticate } = require('../lib/auth');
+const { toCsv } = require('../lib/csv');
+const { loadPricing, validatePricing } = require('../lib/pricing');
+const { buildConversions, formatGoogleAdsTime } = require('../lib/conversions');
+const { getClient } = require('../lib/clients');
+const { MODELS } = require('../lib/attribution');
+const { resolveWindow } = require('../lib/windows');
+const {
+  ADJUSTMENT_COLUMNS,
+  conversionColumns,
+  conversionOptions,
+  loadCalls,
+  prepareConversions,
+  prepareGa4Events
+} = require('../lib/export');
+const { ledgerKey, recordExports, recordAdjustments } = require('../lib/ledger');
+const { uploadClickConversions } = require('../lib/google-ads');
+const { sendGa4Events } = require('../lib/ga4');
+const { assertUnreviewedAllowed } = require('../lib/batches');
+const { parseJsonBody } = require('../lib/request');
+
+// Formats that send values out (Google Ads or GA4) - exporter role only,
+// and unreviewed, so refused unless the deploy opts out of approval
+const EXPORT_FORMATS = ['csv', 'upload', 'adjustments', 'ga4'];
 
 exports.handler = async (event) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type'
-  };
+  const headers = corsHeaders(event);
 
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 204, headers };
   }
 
   try {
+    connectStore(event);
+
     const params = event.queryStringParameters || {};
-    const hoursBack = parseInt(params.hours) || (parseInt(params.days) || 7) * 24;
+    const client = getClient(params.client);
     const format = params.format || 'json';
+    authenticate(event, EXPORT_FORMATS.includes(format) ? 'exporter' : 'viewer');
+    if (EXPORT_FORMATS.includes(format)) {
+      assertUnreviewedAllowed(`format=${format}`);
+    }
 
-    // Calculate date range
-    const endDate = new Date();
-    const startDate = new Date(endDate - hoursBack * 60 * 60 * 1000);
-
-    console.log(`Fetching calls from ${startDate.toISOString()} to ${endDate.toISOString()}`);
-
-    // Fetch all calls (paginated)
-    const calls = await fetchAllCalls(startDate, endDate);
-    console.log(`Fetched ${calls.length} total calls`);
+    // Only the pricing preview takes a body - read it before any CallRail work
+    const body = format === 'preview' ? parseJsonBody(event.body) : {};
 
-    // Process calls
-    const conversions = [];
-    const stats = {
-      totalCalls: calls.length,
-      withGclid: 0,
-      withValue: 0,
-      zeroValue: 0,
-      totalValue: 0
+    const onlyNew = params.onlyNew === 'true';
+    const enhanced = params.enhanced === 'true';
+    if (params.attribution && !MODELS[params.attribution]) {
+      return {
+        statusCode: 400,
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          success: false,
+          error: `Unknown attribution model "${params.attribution}" - use ${Object.keys(MODELS).join(', ')}`
+        })
+      };
+    }
+    const attribution = { ...client.attribution, ...(params.attribution && { model: params.attribution }) };
+    const csvOptions = {
+      timeZone: params.template === 'false' ? null : client.timeZone,
+      layout: params.layout === 'sheets' ? 'sheets' : 'csv'
     };
 
-    // Group by phone number to handle repeat callers
-    const callerGroups = {};
-
-    for (const call of calls) {
-      const gclid = extractGclid(call);
-      if (!gclid) continue;
-      stats.withGclid++;
-
-      const phone = normalizePhone(call.customer_phone_number);
-      if (!callerGroups[phone]) {
-        callerGroups[phone] = [];
+    // Calculate date range - resumeUrl pins the original end as `to`, so a
+    // resumed run covers the rest of the same window
+    const window = resolveWindow(params, client);
+    const { endDate, hours: hoursBack } = window;
+    const startDate = params.resumeFrom ? new Date(params.resumeFrom) : window.startDate;
+    if (isNaN(startDate)) {
+      throw new Error(`Invalid resumeFrom: ${params.resumeFrom}`);
+    }
+    const { requested } = window;
+    const windowQuery = requested
+      ? `from=${encodeURIComponent(requested.from)}${requested.to ? `&to=${encodeURIComponent(requested.to)}` : ''}`
+      : `hours=${hoursBack}`;
+    const pinnedQuery = `from=${encodeURIComponent(window.startDate.toISOString())}&to=${encodeURIComponent(endDate.toISOString())}`;
+    // Links from a resumed run download what it showed, not the whole window
+    const linkQuery = params.resumeFrom
+      ? `${pinnedQuery}&resumeFrom=${encodeURIComponent(params.resumeFrom)}`
+      : windowQuery;
+    const exportOptions = `${onlyNew ? '&onlyNew=true' : ''}${enhanced ? '&enhanced=true' : ''}${params.attribution ? `&attribution=${attribution.model}` : ''}`;
+
+    console.log(`Fetching ${client.id} calls from ${startDate.toISOString()} to ${endDate.toISOString()}`);
+
+    // Fetch all calls (paginated, chunked by date) - or read what the webhook queued
+    const { calls, priorCalls, lookbackTruncated, truncated } = await loadCalls(startDate, endDate, client, { source: params.source });
+    console.log(`Fetched ${calls.length} total calls${params.source === 'queue' ? ' from webhook queue' : ''}${truncated ? ` (truncated: ${truncated.reason})` : ''}` +
+      (attribution.lookbackDays ? `, ${priorCalls.length} from the ${attribution.lookbackDays}-day lookback${lookbackTruncated ? ' (truncated)' : ''}` : ''));
+    const resumeUrl = format => truncated &&
+      `/.netlify/functions/sync-gads-conversions?client=${client.id}&${pinnedQuery}&resumeFrom=${truncated.resumeFrom}${format ? `&format=${format}` : ''}${exportOptions}`;
+    // Files can't carry a warning, so a cut-short download says so in headers
+    const truncationHeaders = format => truncated ? {
+      'X-Truncated': truncated.reason,
+      'X-Resume-From': truncated.resumeFrom,
+      'X-Resume-Url': resumeUrl(format)
+    } : {};
+    const options = { enhanced, attribution, priorCalls };
+
+    const pricing = await loadPricing(client);
+
+    // Compare the window under the live price list and an unsaved draft
+    if (format === 'preview') {
+      const draft = body.pricing;
+      const errors = validatePricing(draft);
+      if (errors.length) {
+        return {
+          statusCode: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ success: false, error: 'Invalid pricing', details: errors })
+        };
       }
-      callerGroups[phone].push({ call, gclid });
+
+      return {
+        statusCode: 200,
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          success: true,
+          truncated: !!truncated,
+          current: summarizePricing(calls, pricing, client, options),
+          draft: summarizePricing(calls, { ...draft, version: 'draft' }, client, options)
+        }, null, 2)
+      };
     }
 
-    // Process each caller group - spread value across calls
-    for (const phone in callerGroups) {
-      const group = callerGroups[phone];
-      
-      // Find best lead score in the group
-      let bestScore = 0;
-      let bestProduct = 'default';
-      
-      for (const { call } of group) {
-        const score = getScorePercent(call);
-        if (score > bestScore) {
-          bestScore = score;
-        }
-        const product = detectProduct(call);
-        if (product !== 'default') {
-          bestProduct = product;
-        }
-      }
+    // Send each valued call to GA4 - once, whatever was sent to Google Ads
+    if (format === 'ga4') {
+      const { events, alreadySent } = await prepareGa4Events(calls, pricing, client, options);
+      const ga4 = await sendGa4Events(events, client.ga4);
+      await recordExports(events.filter((e, i) => ga4.results[i].status === 'sent'), 'ga4', 'ga4');
+      console.log(`GA4: ${ga4.sent} sent, ${ga4.failed} failed, ${ga4.skipped} skipped, ${alreadySent} already sent, ${ga4.fallbackClientIds} without a GA client ID`);
 
-      // Calculate total value based on best score
-      const tier = getTier(bestScore);
-      const multiplier = CONFIG.tiers[tier] || 0;
-      const productPrice = CONFIG.products[bestProduct] || CONFIG.products.default;
-      const totalValue = Math.round(productPrice * multiplier * 100) / 100;
+      return {
+        statusCode: 200,
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          success: true,
+          dateRange: {
+            from: startDate.toISOString(),
+            to: endDate.toISOString(),
+            hours: hoursBack,
+            timeZone: client.timeZone
+          },
+          ga4: {
+            measurementId: client.ga4.measurementId,
+            alreadySent,
+            sent: ga4.sent,
+            failed: ga4.failed,
+            skipped: ga4.skipped,
+            fallbackClientIds: ga4.fallbackClientIds,
+            results: ga4.results
+          },
+          ...(truncated && { truncated, resumeUrl: resumeUrl('ga4') })
+        }, null, 2)
+      };
+    }
 
-      if (totalValue <= 0) {
-        stats.zeroValue += group.length;
-        continue;
-      }
+    const { conversions, rejected, stats, uniqueCallers, exported, adjustments } =
+      await prepareConversions(calls, pricing, client, options);
+    stats.truncated = !!truncated;
 
-      // Spread value across all calls from this caller
-      const perCallValue = Math.round((totalValue / group.length) * 100) / 100;
+    console.log(`Processed: ${stats.withClickId} with click ID, ${stats.withValue} with value, $${stats.totalValue.toFixed(2)} total`);
 
-      for (const { call, gclid } of group) {
-        stats.withValue++;
-        stats.totalValue += perCallValue;
+    // Google Ads conversion adjustments upload
+    if (format === 'adjustments') {
+      const adjustmentTime = formatGoogleAdsTime(new Date().toISOString(), client.timeZone);
+      const csv = toCsv(adjustments.map(a => ({ ...a, adjustmentTime })), ADJUSTMENT_COLUMNS, csvOptions);
+      await recordAdjustments(adjustments);
 
-        conversions.push({
-          gclid,
-          conversionName: 'Phone Call',
-          conversionTime: formatGoogleAdsTime(call.start_time),
-          conversionValue: perCallValue,
-          currency: 'USD',
-          // Extra info for JSON view
-          callId: call.id,
-          phone: call.customer_phone_number || '',
-          tier,
-          product: bestProduct,
-          productPrice,
-          campaign: call.campaign || '',
-          source: call.source || '',
-          duration: call.duration || 0,
-          leadScore: bestScore
-        });
-      }
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': 'text/csv',
+          'Content-Disposition': 'attachment; filename="callrail_gads_adjustments.csv"',
+          ...truncationHeaders('adjustments')
+        },
+        body: csv
+      };
     }
 
-    console.log(`Processed: ${stats.withGclid} with GCLID, ${stats.withValue} with value, $${stats.totalValue.toFixed(2)} total`);
+    const rows = onlyNew
+      ? conversions.filter(c => !exported[ledgerKey(c)])
+      : conversions;
+
+    // Send straight to Google Ads instead of producing a file
+    if (format === 'upload') {
+      const upload = await uploadClickConversions(rows, client.googleAds.customerId);
+      const accepted = rows.filter((c, i) => upload.results[i].status === 'uploaded');
+      await recordExports(accepted, 'upload');
+      console.log(`Uploaded: ${upload.uploaded} accepted, ${upload.failed} failed`);
+
+      return {
+        statusCode: 200,
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          success: true,
+          dateRange: {
+            from: startDate.toISOString(),
+            to: endDate.toISOString(),
+            hours: hoursBack,
+            timeZone: client.timeZone
+          },
+          upload: {
+            uploaded: upload.uploaded,
+            failed: upload.failed,
+            results: upload.results.map(r => ({
+              ...r,
+              clickId: r.clickId ? r.clickId.substring(0, 20) + '...' : ''
+            }))
+          },
+          ...(truncated && { truncated, resumeUrl: resumeUrl('upload') })
+        }, null, 2)
+      };
+    }
 
     // Return CSV format for Google Ads upload
     if (format === 'csv') {
-      const csvHeader = 'Google Click ID,Conversion Name,Conversion Time,Conversion Value,Conversion Currency';
-      const csvRows = conversions.map(c =>
-        `${c.gclid},${c.conversionName},${c.conversionTime},${c.conversionValue},${c.currency}`
-      );
+      const csv = toCsv(rows, conversionColumns(enhanced), csvOptions);
+      await recordExports(rows, 'csv');
 
       return {
         statusCode: 200,
         headers: {
           ...headers,
           'Content-Type': 'text/csv',
-          'Content-Disposition': 'attachment; filename="callrail_gads_conversions.csv"'
+          'Content-Disposition': 'attachment; filename="callrail_gads_conversions.csv"',
+          'X-Pricing-Version': String(pricing.version),
+          ...truncationHeaders('csv')
         },
-        body: [csvHeader, ...csvRows].join('\n')
+        body: csv
       };
     }
 
@@ -175,31 +336,67 @@ exports.handler = async (event) => {
         dateRange: {
           from: startDate.toISOString(),
           to: endDate.toISOString(),
-          hours: hoursBack
+          hours: hoursBack,
+          timeZone: client.timeZone,
+          ...(requested && { requested })
+        },
+        client: { id: client.id, name: client.name },
+        pricingVersion: pricing.version,
+        attribution: {
+          ...attribution,
+          priorCalls: priorCalls.length,
+          lookbackTruncated: !!lookbackTruncated
         },
         stats: {
           ...stats,
           totalValue: '$' + stats.totalValue.toFixed(2),
-          uniqueCallers: Object.keys(callerGroups).length
+          uniqueCallers
         },
-        conversions: conversions.map(c => ({
-          gclid: c.gclid.substring(0, 20) + '...',
+        conversions: [...rows, ...rejected].map(c => ({
+          clickId: c.clickId ? c.clickId.substring(0, 20) + '...' : '',
+          clickIdType: c.clickIdType,
+          conversionName: c.conversionName,
+          secondary: !!c.secondary,
           value: '$' + c.conversionValue.toFixed(2),
           tier: c.tier,
-          product: c.product === 'default' ? 'Unknown (avg $3,500)' : c.product + ' HP',
+          valueSource: c.valueSource,
+          product: c.product === 'default' ? `Unknown (avg $${pricing.products.default.toLocaleString()})` : c.product + ' HP',
+          productMatch: {
+            rule: c.productMatch.rule,
+            source: c.productMatch.source,
+            evidence: c.productMatch.evidence,
+            callId: c.productMatch.callId
+          },
           phone: c.phone,
           campaign: c.campaign,
           duration: c.duration + 's',
-          leadScore: c.leadScore + '%'
+          leadScore: c.leadScore + '%',
+          attribution: c.attribution,
+          rejection: c.rejection || null,
+          exportedAt: exported[ledgerKey(c)]?.exportedAt || null
+        })),
+        adjustments: adjustments.map(a => ({
+          gclid: a.gclid.substring(0, 20) + '...',
+          conversionTime: a.conversionTime,
+          conversionName: a.conversionName,
+          moved: !!a.moved,
+          type: a.adjustmentType,
+          previousValue: '$' + a.previousValue.toFixed(2),
+          adjustedValue: '$' + a.adjustedValue.toFixed(2)
         })),
-        csvUrl: `/.netlify/functions/sync-gads-conversions?hours=${hoursBack}&format=csv`
+        csvUrl: `/.netlify/functions/sync-gads-conversions?client=${client.id}&${linkQuery}&format=csv${exportOptions}`,
+        adjustmentsUrl: `/.netlify/functions/sync-gads-conversions?client=${client.id}&${linkQuery}&format=adjustments${params.attribution ? `&attribution=${attribution.model}` : ''}`,
+        ...(truncated && {
+          truncated,
+          resumeUrl: resumeUrl()
+        })
       }, null, 2)
     };
 
   } catch (error) {
     console.error('Error:', error);
     return {
-      statusCode: 500,
+      statusCode: error.statusCode || 500,
       headers: { ...headers, 'Content-Type': 'application/json' },
       body: JSON.stringify({
         success: false,
@@ -209,128 +406,22 @@ exports.handler = async (event) => {
   }
 };
 
-// ===== CALLRAIL API =====
+// ===== PRICING PREVIEW =====
 
-async function fetchAllCalls(startDate, endDate) {
-  let allCalls = [];
-  let page = 1;
-  let hasMore = true;
-
-  while (hasMore) {
-    const url = new URL(`https://api.callrail.com/v3/a/${CONFIG.callrail.accountId}/calls.json`);
-    url.searchParams.set('per_page', '250');
-    url.searchParams.set('page', page.toString());
-    url.searchParams.set('start_date', startDate.toISOString().split('T')[0]);
-    url.searchParams.set('end_date', endDate.toISOString().split('T')[0]);
-    url.searchParams.set('fields', 'id,start_time,duration,customer_phone_number,tracking_phone_number,source,campaign,landing_page_url,gclid,lead_score,tags,note,transcription');
-
-    const response = await fetch(url.toString(), {
-      headers: {
-        'Authorization': `Token token=${CONFIG.callrail.apiKey}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`CallRail API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    const calls = data.calls || [];
-    allCalls = allCalls.concat(calls);
-
-    // Check if there are more pages
-    if (calls.length < 250 || page >= 10) {
-      hasMore = false;
-    } else {
-      page++;
-    }
-  }
-
-  return allCalls;
-}
-
-// ===== GCLID EXTRACTION =====
-
-function extractGclid(call) {
-  if (call.gclid) return call.gclid;
-
-  if (call.landing_page_url) {
-    const match = call.landing_page_url.match(/[?&]gclid=([^&]+)/);
-    if (match) return match[1];
-  }
-
-  return null;
-}
-
-// ===== VALUE CALCULATION =====
-
-function getScorePercent(call) {
-  const leadScore = call.lead_score;
-  if (!leadScore) return 30; // Default to "poor" if no score
-
-  if (typeof leadScore === 'object') {
-    return leadScore.percent || leadScore.score || 30;
-  }
-  if (typeof leadScore === 'number') {
-    return leadScore;
-  }
-  if (typeof leadScore === 'string') {
-    const map = { 'very_poor': 10, 'poor': 30, 'fair': 50, 'good': 70, 'very_good': 90 };
-    return map[leadScore.toLowerCase()] || 30;
+function summarizePricing(calls, pricing, client, options) {
+  const { conversions, stats } = buildConversions(calls, pricing, conversionOptions(client, options));
+  const byTier = {};
+  for (const c of conversions.filter(c => !c.secondary)) {
+    byTier[c.tier] = byTier[c.tier] || { count: 0, value: 0 };
+    byTier[c.tier].count++;
+    byTier[c.tier].value = Math.round((byTier[c.tier].value + c.conversionValue) * 100) / 100;
   }
 
-  return 30;
-}
-
-function getTier(scorePercent) {
-  if (scorePercent >= 80) return 'very_good';
-  if (scorePercent >= 60) return 'good';
-  if (scorePercent >= 40) return 'fair';
-  if (scorePercent >= 20) return 'poor';
-  return 'very_poor';
-}
-
-function detectProduct(call) {
-  const searchText = [
-    call.transcription?.text || call.transcription || '',
-    call.note || '',
-    (call.tags || []).map(t => t.name || t).join(' ')
-  ].join(' ').toLowerCase();
-
-  const hpPatterns = [
-    /(\d+)\s*hp/i,
-    /(\d+)\s*horse\s*power/i,
-    /(\d+)\s*horsepower/i
-  ];
-
-  for (const pattern of hpPatterns) {
-    const match = searchText.match(pattern);
-    if (match) {
-      const hp = match[1];
-      if (CONFIG.products[hp]) return hp;
-    }
-  }
-
-  return 'default';
-}
-
-function normalizePhone(phone) {
-  if (!phone) return 'unknown';
-  return phone.replace(/\D/g, '').slice(-10);
-}
-
-// ===== FORMATTING =====
-
-function formatGoogleAdsTime(isoString) {
-  const date = new Date(isoString);
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
-  const seconds = String(date.getSeconds()).padStart(2, '0');
-
-  // Arizona time (no DST, always MST = UTC-7)
-  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}-0700`;
+  return {
+    pricingVersion: pricing.version,
+    withValue: stats.withValue,
+    zeroValue: stats.zeroValue,
+    totalValue: Math.round(stats.totalValue * 100) / 100,
+    byTier
+  };
 }
@@ -0,0 +1,69 @@
+/**
+ * Google Ads Upload Results Import
+ *
+ * Brings Google's per-row verdict on a manual upload back into the tool:
+ * which rows were accepted, which failed and why, matched to CallRail
+ * calls through the export ledger (netlify/lib/upload-results.js).
+ *
+ * Usage:
+ *   GET  /upload-results                    → { imports } newest first, without rows
+ *   GET  /upload-results?id=<id>            → One import with every row's outcome
+ *   POST /upload-results { csv, fileName }  → Import a results CSV from
+ *                                             Google Ads → Goals → Uploads
+ *   ...?client=phone-lead                   → Another client's imports
+ *
+ * Reading needs the viewer role, importing the exporter role - an import
+ * changes the ledger: rows that failed for a fixable reason go out again
+ * with the next onlyNew export, batch or scheduled run.
+ */
+
+const { connectStore } = require('../lib/store');
+const { corsHeaders, authenticate } = require('../lib/auth');
+const { getClient } = require('../lib/clients');
+const { UploadResultsError, importUploadResults, getImport, listImports } = require('../lib/upload-results');
+const { parseJsonBody } = require('../lib/request');
+
+exports.handler = async (event) => {
+  const headers = corsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers };
+  }
+
+  const json = (statusCode, body) => ({
+    statusCode,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  });
+
+  try {
+    connectStore(event);
+
+    const params = event.queryStringParameters || {};
+    const client = getClient(params.client);
+
+    if (event.httpMethod === 'POST') {
+      const user = authenticate(event, 'exporter');
+      const { csv, fileName } = parseJsonBody(event.body);
+      if (!csv) {
+        throw new UploadResultsError('csv is required - the text of the Google Ads results file');
+      }
+
+      const result = await importUploadResults(client, csv, { user, fileName });
+      console.log(`Upload results imported for ${client.id} by ${user.name}: ${result.matched}/${result.rows} matched, ${result.failed} failed, ${result.reexportable} to re-export`);
+      return json(200, { success: true, import: result });
+    }
+
+    authenticate(event, 'viewer');
+
+    if (params.id) {
+      return json(200, { success: true, import: await getImport(client, params.id) });
+    }
+
+    return json(200, { success: true, imports: await listImports(client, parseInt(params.limit) || 30) });
+
+  } catch (error) {
+    console.error('Error:', error);
+    return json(error.statusCode || 500, { success: false, error: error.message });
+  }
+};
@@ -0,0 +1,116 @@
+/**
+ * Repeat-Caller Attribution
+ *
+ * A caller's value (best lead score × detected product) is earned once,
+ * however many times they called. The attribution model decides how it
+ * is shared between those calls - and so which clicks Google Ads gets
+ * credit for:
+ *
+ *   even        every call gets the same share (the original behaviour)
+ *   first_click the caller's earliest call gets it all
+ *   last_click  the caller's latest call gets it all
+ *   time_decay  shares halve every halfLifeDays before the latest call
+ *
+ * A caller's calls are grouped across lookbackDays before the export
+ * window as well, so a sale called in today can still credit last
+ * week's click. Calls from the lookback only shape the split - they
+ * were exported (or not) by the run that covered them, and the
+ * adjustments restate what they were exported at when the split moves
+ * value off (or onto) them.
+ *
+ * Set per client in the registry (netlify/lib/clients.js):
+ *
+ *   "attribution": { "model": "last_click", "lookbackDays": 30, "halfLifeDays": 7 }
+ *
+ * Env defaults: GADS_ATTRIBUTION_MODEL (even), GADS_ATTRIBUTION_LOOKBACK_DAYS (0),
+ * GADS_ATTRIBUTION_HALF_LIFE_DAYS (7).
+ */
+
+const DEFAULTS = {
+  model: process.env.GADS_ATTRIBUTION_MODEL || 'even',
+  lookbackDays: parseInt(process.env.GADS_ATTRIBUTION_LOOKBACK_DAYS) || 0,
+  halfLifeDays: parseFloat(process.env.GADS_ATTRIBUTION_HALF_LIFE_DAYS) || 7
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Each model turns the caller's calls (oldest first) into weights
+const MODELS = {
+  even: calls => calls.map(() => 1),
+  first_click: calls => calls.map((c, i) => i === 0 ? 1 : 0),
+  last_click: calls => calls.map((c, i) => i === calls.length - 1 ? 1 : 0),
+  time_decay: (calls, { halfLifeDays }) => {
+    const latest = callTime(calls[calls.length - 1]);
+    return calls.map(c => Math.pow(0.5, (latest - callTime(c)) / (halfLifeDays * DAY_MS)));
+  }
+};
+
+// → one { value, share, reason } per call, in the order given
+function attributeValue(calls, totalValue, { model = DEFAULTS.model, halfLifeDays = DEFAULTS.halfLifeDays } = {}) {
+  if (!MODELS[model]) {
+    throw new Error(`Unknown attribution model "${model}" - use ${Object.keys(MODELS).join(', ')}`);
+  }
+
+  const order = calls
+    .map((call, index) => ({ call, index }))
+    .sort((a, b) => callTime(a.call) - callTime(b.call) || a.index - b.index);
+  const weights = MODELS[model](order.map(o => o.call), { halfLifeDays });
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+  const results = new Array(calls.length);
+  order.forEach(({ call, index }, position) => {
+    const share = weights[position] / totalWeight;
+    results[index] = {
+      value: Math.round(totalValue * weights[position] / totalWeight * 100) / 100,
+      share: Math.round(share * 10000) / 10000,
+      reason: explain(model, { position, count: calls.length, share, totalValue, halfLifeDays, order })
+    };
+  });
+
+  return results;
+}
+
+function explain(model, { position, count, share, totalValue, halfLifeDays, order }) {
+  const value = `$${totalValue.toFixed(2)}`;
+  if (count === 1) return `Only call from this caller - gets the full ${value}`;
+
+  const nth = `call ${position + 1} of ${count} from this caller`;
+  switch (model) {
+    case 'first_click':
+      return position === 0
+        ? `First click: earliest of ${count} calls gets the full ${value}`
+        : `First click: ${nth} - ${value} went to call ${order[0].call.id}`;
+    case 'last_click':
+      return position === count - 1
+        ? `Last click: latest of ${count} calls gets the full ${value}`
+        : `Last click: ${nth} - ${value} went to call ${order[count - 1].call.id}`;
+    case 'time_decay':
+      return `Time decay (${halfLifeDays}-day half-life): ${nth} gets ${Math.round(share * 100)}% of ${value}`;
+    default:
+      return `Even split: ${value} shared by ${count} calls`;
+  }
+}
+
+// Client registry "attribution" merged over the env defaults
+function normalizeAttribution(config = {}) {
+  const attribution = { ...DEFAULTS, ...config };
+  const errors = validateAttribution(attribution);
+  if (errors.length) {
+    throw new Error(`attribution: ${errors.join('; ')}`);
+  }
+  return attribution;
+}
+
+function validateAttribution({ model, lookbackDays, halfLifeDays }) {
+  const errors = [];
+  if (!MODELS[model]) errors.push(`unknown model "${model}" - use ${Object.keys(MODELS).join(', ')}`);
+  if (!(lookbackDays >= 0)) errors.push('lookbackDays must be a number of days >= 0');
+  if (!(halfLifeDays > 0)) errors.push('halfLifeDays must be a number of days > 0');
+  return errors;
+}
+
+function callTime(call) {
+  return new Date(call.start_time).getTime() || 0;
+}
+
+module.exports = { MODELS, attributeValue, normalizeAttribution, validateAttribution };
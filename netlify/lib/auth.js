@@ -0,0 +1,236 @@
+/**
+ * Authentication, Roles & CORS
+ *
+ * Every function calls authenticate(event, role) before doing any work.
+ * Credentials arrive as `Authorization: Bearer <token>` where token is:
+ *
+ *   - a session token from /auth-login (HMAC-signed, AUTH_TOKEN_SECRET)
+ *   - or AUTH_SHARED_SECRET itself, for scripts (acts as an exporter)
+ *
+ * Users and roles come from AUTH_USERS:
+ *   AUTH_USERS="glen:s3cret:exporter,intern:hunter2:viewer"
+ * Each entry is name:password:role. The name ends at the first ":" and
+ * the role starts after the last one, so passwords may contain ":" -
+ * but not ",", which separates the entries.
+ *
+ * Logins are throttled: AUTH_MAX_FAILURES (default 5) wrong passwords
+ * for one username, or from one IP, within AUTH_LOCKOUT_MINUTES
+ * (default 15) lock that username / IP out until the oldest failure is
+ * that old (429 with Retry-After). Failures are counted in the
+ * 'auth-lockouts' store.
+ *
+ * Roles, lowest first:
+ *   viewer    → JSON views and previews
+ *   exporter  → also CSV downloads, API uploads, adjustments, pricing edits
+ *
+ * With nothing configured every request is refused. AUTH_DISABLED=true
+ * turns the check off for local development only.
+ *
+ * CORS: CORS_ALLOWED_ORIGINS is a comma-separated allowlist. The
+ * dashboard is same-origin and doesn't need an entry.
+ *
+ * Machine clients that can only do HTTP basic auth (the Google Ads
+ * scheduled upload feed) use basicAuth(event, credentials) with their
+ * own username / password instead of a dashboard account.
+ */
+
+const crypto = require('crypto');
+const { openStore } = require('./store');
+
+const ROLES = ['viewer', 'exporter'];
+const TOKEN_TTL_HOURS = parseInt(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+const LOCKOUT = {
+  maxFailures: parseInt(process.env.AUTH_MAX_FAILURES) || 5,
+  windowMs: (parseInt(process.env.AUTH_LOCKOUT_MINUTES) || 15) * 60 * 1000
+};
+
+class AuthError extends Error {
+  constructor(message, statusCode, retryAfter) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+    if (retryAfter) this.retryAfter = retryAfter; // seconds, for 429s
+  }
+}
+
+function corsHeaders(event) {
+  const headers = {
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Vary': 'Origin'
+  };
+
+  const origin = event.headers?.origin || event.headers?.Origin;
+  const allowed = (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(o => o.trim())
+    .filter(Boolean);
+  if (origin && allowed.includes(origin)) {
+    headers['Access-Control-Allow-Origin'] = origin;
+  }
+
+  return headers;
+}
+
+// Returns { name, role } or throws AuthError (401 / 403)
+function authenticate(event, requiredRole = 'viewer') {
+  if (process.env.AUTH_DISABLED === 'true') {
+    return { name: 'local', role: 'exporter' };
+  }
+
+  if (!process.env.AUTH_TOKEN_SECRET && !process.env.AUTH_SHARED_SECRET) {
+    throw new AuthError('Authentication is not configured (set AUTH_TOKEN_SECRET / AUTH_USERS or AUTH_SHARED_SECRET)', 500);
+  }
+
+  const header = event.headers?.authorization || event.headers?.Authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (!token) {
+    throw new AuthError('Login required', 401);
+  }
+
+  const user = process.env.AUTH_SHARED_SECRET && safeEqual(token, process.env.AUTH_SHARED_SECRET)
+    ? { name: 'api', role: 'exporter' }
+    : verifyToken(token);
+
+  if (ROLES.indexOf(user.role) < ROLES.indexOf(requiredRole)) {
+    throw new AuthError(`The ${requiredRole} role is required for this action`, 403);
+  }
+
+  return user;
+}
+
+// Throws AuthError 401 unless the request carries these basic auth credentials
+function basicAuth(event, { username, password }) {
+  if (!username || !password) {
+    throw new AuthError('Basic auth credentials are not configured', 500);
+  }
+
+  const header = event.headers?.authorization || event.headers?.Authorization || '';
+  const decoded = header.startsWith('Basic ')
+    ? Buffer.from(header.slice(6).trim(), 'base64').toString('utf8')
+    : '';
+  const separator = decoded.indexOf(':');
+  const user = separator >= 0 ? decoded.slice(0, separator) : '';
+  const pass = separator >= 0 ? decoded.slice(separator + 1) : '';
+
+  // Check both halves so a wrong username takes as long as a wrong password
+  const userOk = safeEqual(user, username);
+  const passOk = safeEqual(pass, password);
+  if (!userOk || !passOk) {
+    throw new AuthError('Invalid credentials', 401);
+  }
+
+  return user;
+}
+
+// ===== LOGIN / TOKENS =====
+
+async function login(username, password, { ip } = {}) {
+  if (!process.env.AUTH_TOKEN_SECRET) {
+    throw new AuthError('Dashboard logins are not configured (set AUTH_TOKEN_SECRET and AUTH_USERS)', 500);
+  }
+
+  // Unknown usernames count too, so a locked-out guess looks like any other
+  const keys = [`user:${String(username || '').toLowerCase()}`, ...(ip ? [`ip:${ip}`] : [])];
+  await checkLockout(keys);
+
+  const user = findUser(username);
+  if (!user || !safeEqual(String(password || ''), user.password)) {
+    await recordFailure(keys);
+    throw new AuthError('Invalid username or password', 401);
+  }
+  await clearFailures(keys);
+
+  const expiresAt = Date.now() + TOKEN_TTL_HOURS * 60 * 60 * 1000;
+  return {
+    token: signToken({ sub: user.name, role: user.role, exp: expiresAt }),
+    user: { name: user.name, role: user.role },
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+}
+
+function findUser(username) {
+  for (const entry of (process.env.AUTH_USERS || '').split(',')) {
+    const text = entry.trim();
+    const first = text.indexOf(':');
+    const last = text.lastIndexOf(':');
+    if (first < 0 || last === first) continue;
+
+    const name = text.slice(0, first);
+    const password = text.slice(first + 1, last);
+    const role = text.slice(last + 1);
+    if (name && name === username) {
+      if (!ROLES.includes(role)) {
+        throw new Error(`AUTH_USERS: unknown role "${role}" for ${name}`);
+      }
+      return { name, password, role };
+    }
+  }
+  return null;
+}
+
+// ===== LOCKOUT =====
+
+// Failure times inside the window, per username / IP key
+async function recentFailures(store, key, now) {
+  const record = await store.get(key);
+  return (record?.failures || []).filter(at => now - at < LOCKOUT.windowMs);
+}
+
+async function checkLockout(keys, now = Date.now()) {
+  const store = openStore('auth-lockouts');
+  for (const key of keys) {
+    const failures = await recentFailures(store, key, now);
+    if (failures.length >= LOCKOUT.maxFailures) {
+      const retryAfter = Math.ceil((failures[0] + LOCKOUT.windowMs - now) / 1000);
+      throw new AuthError(`Too many failed logins - try again in ${Math.ceil(retryAfter / 60)} minutes`, 429, retryAfter);
+    }
+  }
+}
+
+async function recordFailure(keys, now = Date.now()) {
+  const store = openStore('auth-lockouts');
+  await Promise.all(keys.map(async key => {
+    const failures = await recentFailures(store, key, now);
+    await store.set(key, { failures: [...failures, now] });
+  }));
+}
+
+async function clearFailures(keys) {
+  const store = openStore('auth-lockouts');
+  await Promise.all(keys.map(key => store.delete(key)));
+}
+
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${hmac(body)}`;
+}
+
+function verifyToken(token) {
+  if (!process.env.AUTH_TOKEN_SECRET) {
+    throw new AuthError('Invalid credentials', 401);
+  }
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature || !safeEqual(signature, hmac(body))) {
+    throw new AuthError('Invalid session - please log in again', 401);
+  }
+
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  if (!payload.exp || payload.exp < Date.now()) {
+    throw new AuthError('Session expired - please log in again', 401);
+  }
+
+  return { name: payload.sub, role: payload.role };
+}
+
+function hmac(text) {
+  return crypto.createHmac('sha256', process.env.AUTH_TOKEN_SECRET).update(text).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = { AuthError, corsHeaders, authenticate, basicAuth, login };
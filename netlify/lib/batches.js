@@ -0,0 +1,296 @@
+/**
+ * Export Batches
+ *
+ * A reviewed, frozen set of conversion rows. Instead of downloading a
+ * fresh export, someone drafts a batch, includes / excludes rows and
+ * overrides values, then approves it; only approved batches can be
+ * downloaded or uploaded, and always with exactly the approved rows.
+ *
+ *   <client>/<id> → {
+ *     id, client,
+ *     status,         // 'draft' | 'approved' | 'discarded'
+ *     createdAt, createdBy, approvedAt, approvedBy,
+ *     window,         // { from, to, hours, timeZone, truncated, requested, backfill }
+ *     options,        // { onlyNew, enhanced, source, attribution }
+ *     pricingVersion,
+ *     rows,           // [{ key, include, computedValue, valueOverride, ...conversion }]
+ *     history         // [{ action, by, at, detail }] - every change, for audit
+ *   }
+ *
+ * Ids sort by creation time, so the newest batch lists last. A new
+ * draft starts from the last approved batch's decisions: rows excluded
+ * there stay excluded, and overrides carry over while the computed
+ * value hasn't moved.
+ *
+ * Downloading or uploading a batch again only sends the rows the export
+ * ledger doesn't have yet (pendingRows), so a second download can't
+ * duplicate conversions in Google Ads.
+ *
+ * Approval is mandatory: the unreviewed exports (sync-gads-conversions
+ * format=csv / upload / adjustments / ga4, gads-feed, scheduled-export)
+ * refuse to run unless the deploy opts out with
+ * ALLOW_UNREVIEWED_EXPORTS=true.
+ */
+
+const crypto = require('crypto');
+const { openStore } = require('./store');
+const { ledgerKey, lookupExports } = require('./ledger');
+const { loadPricing } = require('./pricing');
+const { loadCalls, prepareConversions } = require('./export');
+
+const STORE_NAME = 'export-batches';
+
+// Conversion fields a batch keeps - enough to write the CSV, upload and review
+const ROW_FIELDS = [
+  'clickIdType', 'clickId', 'hashedPhone', 'conversionName', 'conversionTime', 'currency',
+  'callId', 'phone', 'tier', 'product', 'campaign', 'source', 'duration', 'leadScore',
+  'pricingVersion', 'secondary', 'valueSource', 'attribution'
+];
+
+class BatchError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'BatchError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Runs the export pipeline over the window and freezes the rows as a draft.
+// window: { startDate, endDate, hours, ...anything else to keep on the batch }
+async function draftBatch(client, { startDate, endDate, ...window }, request, user, { timeBudgetMs } = {}) {
+  const options = {
+    onlyNew: !!request.onlyNew,
+    enhanced: !!request.enhanced,
+    source: request.source === 'queue' ? 'queue' : null,
+    attribution: request.attribution || null
+  };
+  const attribution = { ...client.attribution, ...(options.attribution && { model: options.attribution }) };
+
+  const { calls, priorCalls, truncated } =
+    await loadCalls(startDate, endDate, client, { source: options.source, ...(timeBudgetMs && { timeBudgetMs }) });
+  const pricing = await loadPricing(client);
+  const { conversions, exported } =
+    await prepareConversions(calls, pricing, client, { enhanced: options.enhanced, attribution, priorCalls });
+
+  return createBatch(client, {
+    conversions: options.onlyNew ? conversions.filter(c => !exported[ledgerKey(c)]) : conversions,
+    window: {
+      ...window,
+      from: startDate.toISOString(),
+      to: endDate.toISOString(),
+      timeZone: client.timeZone,
+      truncated: truncated || null
+    },
+    options,
+    pricingVersion: pricing.version,
+    user
+  });
+}
+
+async function createBatch(client, { conversions, window, options, pricingVersion, user }) {
+  const createdAt = new Date().toISOString();
+  const id = `${createdAt.replace(/[-:.]/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
+  const previous = await lastApprovedBatch(client);
+  const decisions = new Map((previous?.rows || []).map(row => [row.key, row]));
+
+  const rows = conversions.map(c => {
+    const row = { key: ledgerKey(c), include: true, computedValue: c.conversionValue, valueOverride: null };
+    for (const field of ROW_FIELDS) {
+      if (c[field] !== undefined) row[field] = c[field];
+    }
+
+    const decided = decisions.get(row.key);
+    if (decided) {
+      row.include = decided.include;
+      if (decided.valueOverride !== null && decided.computedValue === row.computedValue) {
+        row.valueOverride = decided.valueOverride;
+      }
+    }
+    return row;
+  });
+
+  const batch = {
+    id,
+    client: client.id,
+    status: 'draft',
+    createdAt,
+    createdBy: user.name,
+    window,
+    options,
+    pricingVersion,
+    rows,
+    history: [{ action: 'created', by: user.name, at: createdAt, detail: `${rows.length} rows` }]
+  };
+
+  await openStore(STORE_NAME).set(batchKey(client, id), batch);
+  return batch;
+}
+
+async function getBatch(client, id) {
+  const batch = await openStore(STORE_NAME).get(batchKey(client, id));
+  if (!batch) {
+    throw new BatchError(`Unknown batch "${id}"`, 404);
+  }
+  return batch;
+}
+
+// Newest first, without the rows
+async function listBatches(client, limit = 30) {
+  const store = openStore(STORE_NAME);
+  const keys = (await store.list(`${client.id}/`)).sort().reverse().slice(0, limit);
+  const batches = await Promise.all(keys.map(key => store.get(key)));
+  return batches.filter(Boolean).map(summarizeBatch);
+}
+
+async function lastApprovedBatch(client, { before } = {}) {
+  const store = openStore(STORE_NAME);
+  const keys = (await store.list(`${client.id}/`)).sort().reverse();
+
+  for (const key of keys) {
+    if (before && key >= batchKey(client, before)) continue;
+    const batch = await store.get(key);
+    if (batch?.status === 'approved') return batch;
+  }
+  return null;
+}
+
+// changes: [{ key, include?, value? }] - value null clears an override
+async function updateBatch(client, id, changes, user) {
+  const batch = await getDraft(client, id);
+  const rows = new Map(batch.rows.map(row => [row.key, row]));
+
+  for (const change of changes || []) {
+    const row = rows.get(change.key);
+    if (!row) {
+      throw new BatchError(`Batch ${id} has no row "${change.key}"`, 400);
+    }
+    if ('include' in change) row.include = !!change.include;
+    if ('value' in change) {
+      if (change.value !== null && !(typeof change.value === 'number' && change.value >= 0)) {
+        throw new BatchError(`Value for "${change.key}" must be a number >= 0, or null to clear the override`, 400);
+      }
+      row.valueOverride = change.value === null ? null : Math.round(change.value * 100) / 100;
+    }
+  }
+
+  return saveWithEvent(client, batch, 'updated', user, `${(changes || []).length} rows changed`);
+}
+
+async function approveBatch(client, id, user) {
+  const batch = await getDraft(client, id);
+  batch.status = 'approved';
+  batch.approvedAt = new Date().toISOString();
+  batch.approvedBy = user.name;
+  const { rows, totalValue } = summarizeBatch(batch);
+  return saveWithEvent(client, batch, 'approved', user, `${rows.included} rows, $${totalValue.toFixed(2)}`);
+}
+
+async function discardBatch(client, id, user) {
+  const batch = await getDraft(client, id);
+  batch.status = 'discarded';
+  return saveWithEvent(client, batch, 'discarded', user);
+}
+
+// Downloads and uploads of an approved batch, for the audit trail
+async function recordBatchEvent(client, id, action, user, detail) {
+  const batch = await getBatch(client, id);
+  return saveWithEvent(client, batch, action, user, detail);
+}
+
+// The rows to hand Google Ads - approved batches only
+function approvedRows(batch) {
+  if (batch.status !== 'approved') {
+    throw new BatchError(`Batch ${batch.id} is ${batch.status} - only approved batches can be exported`, 409);
+  }
+  return batch.rows
+    .filter(row => row.include)
+    .map(row => ({
+      ...row,
+      batchId: batch.id,
+      conversionValue: row.valueOverride ?? row.computedValue,
+      ...(row.valueOverride !== null && { valueOverride: true })
+    }));
+}
+
+// The approved rows the ledger doesn't have yet → { rows, alreadyExported }
+async function pendingRows(batch) {
+  const rows = approvedRows(batch);
+  const exported = await lookupExports(rows);
+  const pending = rows.filter(row => !exported[ledgerKey(row)]);
+  return { rows: pending, alreadyExported: rows.length - pending.length };
+}
+
+// Guard for the export paths that skip review
+function assertUnreviewedAllowed(path) {
+  if (process.env.ALLOW_UNREVIEWED_EXPORTS !== 'true') {
+    throw new BatchError(`${path} skips review - export an approved batch (export-batches) instead, or set ALLOW_UNREVIEWED_EXPORTS=true`, 403);
+  }
+}
+
+// What changed since the previous approved batch, by ledger key
+function diffBatches(batch, previous) {
+  const effective = b => new Map(b.rows
+    .filter(row => row.include)
+    .map(row => [row.key, row.valueOverride ?? row.computedValue]));
+  const now = effective(batch);
+  const before = previous ? effective(previous) : new Map();
+
+  const diff = { previousId: previous?.id || null, added: [], removed: [], changed: [], unchanged: 0 };
+  for (const [key, value] of now) {
+    if (!before.has(key)) diff.added.push({ key, value });
+    else if (Math.abs(before.get(key) - value) >= 0.01) diff.changed.push({ key, from: before.get(key), to: value });
+    else diff.unchanged++;
+  }
+  for (const [key, value] of before) {
+    if (!now.has(key)) diff.removed.push({ key, value });
+  }
+  return diff;
+}
+
+// ===== HELPERS =====
+
+function batchKey(client, id) {
+  return `${client.id}/${id}`;
+}
+
+async function getDraft(client, id) {
+  const batch = await getBatch(client, id);
+  if (batch.status !== 'draft') {
+    throw new BatchError(`Batch ${id} is ${batch.status} - only drafts can be changed`, 409);
+  }
+  return batch;
+}
+
+async function saveWithEvent(client, batch, action, user, detail) {
+  batch.history.push({ action, by: user.name, at: new Date().toISOString(), ...(detail && { detail }) });
+  await openStore(STORE_NAME).set(batchKey(client, batch.id), batch);
+  return batch;
+}
+
+function summarizeBatch(batch) {
+  const included = batch.rows.filter(row => row.include);
+  const { rows, history, ...summary } = batch;
+  return {
+    ...summary,
+    rows: { total: rows.length, included: included.length, overridden: included.filter(row => row.valueOverride !== null).length },
+    totalValue: Math.round(included.reduce((sum, row) => sum + (row.valueOverride ?? row.computedValue), 0) * 100) / 100,
+    lastEvent: history[history.length - 1]
+  };
+}
+
+module.exports = {
+  BatchError,
+  draftBatch,
+  createBatch,
+  getBatch,
+  listBatches,
+  lastApprovedBatch,
+  updateBatch,
+  approveBatch,
+  discardBatch,
+  recordBatchEvent,
+  approvedRows,
+  pendingRows,
+  assertUnreviewedAllowed,
+  diffBatches
+};
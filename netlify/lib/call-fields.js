@@ -0,0 +1,25 @@
+/**
+ * CallRail Call Field Helpers
+ *
+ * Small readers shared by the rule modules (qualification,
+ * conversion-actions, value-sources, product-rules) that match
+ * configured names against a call's fields:
+ *
+ *   tagNames(call)                          → ['Sold', 'Deposit Taken']
+ *   includesIgnoreCase(['Spam'], 'spam')    → true
+ *
+ * CallRail sends tags as { name } objects on calls and as plain strings
+ * in some webhook payloads; tagNames takes either.
+ */
+
+function tagNames(call) {
+  return (call.tags || []).map(t => typeof t === 'string' ? t : t?.name).filter(Boolean);
+}
+
+function includesIgnoreCase(list, value) {
+  if (!value) return false;
+  const lower = String(value).toLowerCase();
+  return list.some(item => String(item).toLowerCase() === lower);
+}
+
+module.exports = { tagNames, includesIgnoreCase };
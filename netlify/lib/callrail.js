@@ -0,0 +1,161 @@
+/**
+ * CallRail API Client
+ *
+ * Reads calls from the CallRail v3 API for a date window, for one
+ * client's account (and company, if set - see netlify/lib/clients.js).
+ *
+ *   const { calls, truncated } = await fetchAllCalls(startDate, endDate, client.callrail);
+ *
+ * Long windows are fetched in CALLRAIL_CHUNK_DAYS chunks (default 7),
+ * oldest first, following CallRail's pagination metadata. 429s are
+ * retried with Retry-After / exponential backoff. If the run would
+ * outlast the time budget (CALLRAIL_TIME_BUDGET_MS, default 8s to stay
+ * under Netlify's 10s function timeout) the oldest complete chunks are
+ * returned with truncated = { reason, fetchedThrough, resumeFrom }.
+ * CallRail filters by whole dates, so calls outside the exact
+ * [startDate, endDate) instants are dropped after fetching.
+ * Callers with a longer timeout (scheduled functions) can pass their
+ * own { timeBudgetMs }.
+ */
+
+const CONFIG = {
+  apiUrl: process.env.CALLRAIL_API_URL || 'https://api.callrail.com/v3',
+  chunkDays: parseInt(process.env.CALLRAIL_CHUNK_DAYS) || 7,
+  timeBudgetMs: parseInt(process.env.CALLRAIL_TIME_BUDGET_MS) || 8000,
+  maxRetries: 5
+};
+
+// Walks the range in chunkDays-sized date chunks, oldest first, following
+// CallRail's pagination metadata. If the time budget runs out the partial
+// chunk is dropped, so the result always covers [startDate, resumeFrom).
+async function fetchAllCalls(startDate, endDate, account, { timeBudgetMs = CONFIG.timeBudgetMs } = {}) {
+  if (!account.apiKey || !account.accountId) {
+    throw new Error('CallRail is not configured for this client (missing API key or account ID)');
+  }
+
+  const deadline = Date.now() + timeBudgetMs;
+  const callsById = new Map();
+
+  for (const chunk of dateChunks(startDate, endDate, CONFIG.chunkDays)) {
+    const result = await fetchCallsInRange(account, chunk.start, chunk.end, deadline);
+
+    if (result.truncated) {
+      return {
+        calls: inRange([...callsById.values()], startDate, endDate),
+        truncated: {
+          reason: result.truncated,
+          fetchedThrough: previousDay(chunk.start),
+          resumeFrom: chunk.start
+        }
+      };
+    }
+
+    for (const call of result.calls) {
+      callsById.set(call.id, call);
+    }
+  }
+
+  return { calls: inRange([...callsById.values()], startDate, endDate), truncated: null };
+}
+
+async function fetchCallsInRange(account, startDay, endDay, deadline) {
+  const calls = [];
+  let url = new URL(`${CONFIG.apiUrl}/a/${account.accountId}/calls.json`);
+  url.searchParams.set('per_page', '250');
+  url.searchParams.set('page', '1');
+  url.searchParams.set('start_date', startDay);
+  url.searchParams.set('end_date', endDay);
+  if (account.companyId) {
+    url.searchParams.set('company_id', account.companyId);
+  }
+  url.searchParams.set('fields', 'id,start_time,duration,answered,voicemail,first_call,customer_phone_number,tracking_phone_number,source,campaign,landing_page_url,gclid,ga,lead_score,lead_status,value,milestones,tags,note,transcription');
+
+  while (url) {
+    if (Date.now() >= deadline) {
+      return { calls, truncated: 'time_budget' };
+    }
+
+    const response = await callRailRequest(account, url, deadline);
+    if (!response) {
+      return { calls, truncated: 'rate_limited' };
+    }
+
+    const data = await response.json();
+    calls.push(...(data.calls || []));
+
+    // Relative pagination hands back the next URL, offset pagination a page count
+    if (data.next_page) {
+      url = new URL(data.next_page);
+    } else if (data.total_pages && data.page < data.total_pages) {
+      url.searchParams.set('page', String(data.page + 1));
+    } else {
+      url = null;
+    }
+  }
+
+  return { calls, truncated: null };
+}
+
+// Retries 429s with Retry-After / exponential backoff. Returns null when
+// waiting any longer would blow the time budget.
+async function callRailRequest(account, url, deadline) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url.toString(), {
+      headers: {
+        'Authorization': `Token token=${account.apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (response.status === 429 && attempt < CONFIG.maxRetries) {
+      const retryAfter = parseInt(response.headers.get('retry-after'));
+      const waitMs = retryAfter >= 0 ? retryAfter * 1000 : 1000 * 2 ** attempt;
+      if (Date.now() + waitMs >= deadline) return null;
+
+      console.log(`CallRail rate limited, retrying in ${waitMs}ms`);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      continue;
+    }
+
+    if (!response.ok) {
+      throw new Error(`CallRail API error: ${response.status} ${response.statusText}`);
+    }
+
+    return response;
+  }
+}
+
+// Inclusive YYYY-MM-DD ranges covering startDate..endDate
+function dateChunks(startDate, endDate, chunkDays) {
+  const chunks = [];
+  const last = endDate.toISOString().split('T')[0];
+  let day = startDate.toISOString().split('T')[0];
+
+  while (day <= last) {
+    let end = addDays(day, chunkDays - 1);
+    if (end > last) end = last;
+    chunks.push({ start: day, end });
+    day = addDays(end, 1);
+  }
+
+  return chunks;
+}
+
+function inRange(calls, startDate, endDate) {
+  return calls.filter(call => {
+    const time = new Date(call.start_time);
+    return time >= startDate && time < endDate;
+  });
+}
+
+function addDays(day, n) {
+  const date = new Date(day + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + n);
+  return date.toISOString().split('T')[0];
+}
+
+function previousDay(day) {
+  return addDays(day, -1);
+}
+
+module.exports = { TIME_BUDGET_MS: CONFIG.timeBudgetMs, fetchAllCalls, dateChunks, addDays };
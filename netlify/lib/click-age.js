@@ -0,0 +1,72 @@
+/**
+ * Click Age Checks
+ *
+ * Google Ads rejects an offline click conversion when:
+ *
+ *   conversion_precedes_click  the conversion time is before the click
+ *   expired_click              the click is older than the conversion action's
+ *                              click-through window (default 90 days) at the
+ *                              conversion, or older than Google's 90-day import
+ *                              limit today
+ *
+ * CallRail doesn't give the click time itself, so it is estimated from the
+ * call's session milestones - the last touch before the call, else the
+ * first visit. Calls without either are never flagged.
+ *
+ * A conversion action's window is its rule's "clickWindowDays" in
+ * conversionActions (netlify/lib/conversion-actions.js); the default is
+ * GADS_CLICK_WINDOW_DAYS (90).
+ */
+
+const CLICK_AGE_LIMIT_DAYS = 90;
+const DEFAULT_WINDOW_DAYS = parseInt(process.env.GADS_CLICK_WINDOW_DAYS) || CLICK_AGE_LIMIT_DAYS;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Closest to the click first
+const CLICK_TOUCHES = ['last_touch', 'first_touch'];
+
+// → { time: Date, source } or null
+function estimateClickTime(call) {
+  for (const touch of CLICK_TOUCHES) {
+    const at = call.milestones && call.milestones[touch] && call.milestones[touch].event_date;
+    const time = at ? new Date(at) : null;
+    if (time && !isNaN(time)) return { time, source: touch };
+  }
+  return null;
+}
+
+// → { reason, detail, clickTime, clickTimeSource } when Google would reject
+// the call's conversion, null otherwise
+function checkClickAge(call, { windowDays = DEFAULT_WINDOW_DAYS, now = new Date() } = {}) {
+  const click = estimateClickTime(call);
+  const conversionAt = new Date(call.start_time);
+  if (!click || isNaN(conversionAt)) return null;
+
+  const rejection = (reason, detail) => ({
+    reason,
+    detail,
+    clickTime: click.time.toISOString(),
+    clickTimeSource: click.source
+  });
+  const clickLabel = `click (${click.source.replace('_', ' ')} ${click.time.toISOString()})`;
+
+  if (conversionAt < click.time) {
+    return rejection('conversion_precedes_click', `Call at ${conversionAt.toISOString()} is before its ${clickLabel}`);
+  }
+
+  const daysToConversion = (conversionAt - click.time) / DAY_MS;
+  if (daysToConversion > windowDays) {
+    return rejection('expired_click',
+      `Call came ${Math.floor(daysToConversion)} days after its ${clickLabel} - past the action's ${windowDays}-day window`);
+  }
+
+  const daysOld = (now - click.time) / DAY_MS;
+  if (daysOld > CLICK_AGE_LIMIT_DAYS) {
+    return rejection('expired_click',
+      `${clickLabel[0].toUpperCase()}${clickLabel.slice(1)} is ${Math.floor(daysOld)} days old - Google Ads only imports clicks from the last ${CLICK_AGE_LIMIT_DAYS} days`);
+  }
+
+  return null;
+}
+
+module.exports = { CLICK_AGE_LIMIT_DAYS, estimateClickTime, checkClickAge };
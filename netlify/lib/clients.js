@@ -0,0 +1,181 @@
+/**
+ * Client Registry
+ *
+ * One deployment serves every agency client, each with its own CallRail
+ * account, Google Ads customer and price list. Clients are listed in
+ * config/clients.json (CLIENTS_FILE to override locally):
+ *
+ *   {
+ *     "default": "main",
+ *     "clients": {
+ *       "main": { "name": "Main account" },
+ *       "phone-lead": {
+ *         "name": "CallRail Phone Lead (was callrail-gads-bypass-v2)",
+ *         "callrail": {
+ *           "accountId": "ACC8154...", "companyId": "COM9a1...",
+ *           "apiKeyEnv": "CALLRAIL_API_KEY_PHONE_LEAD",
+ *           "webhookSecretEnv": "CALLRAIL_WEBHOOK_SECRET_PHONE_LEAD"
+ *         },
+ *         "googleAds": { "customerId": "111-222-3333" },
+ *         "conversionName": "CallRail Phone Lead",
+ *         "conversionActions": [{ "name": "CallRail Phone Lead - Sale", "tiers": ["very_good"] }],
+ *         "timeZone": "America/Denver",
+ *         "attribution": { "model": "last_click", "lookbackDays": 30 },
+ *         "valueRules": { "tags": { "Sold": "very_good", "Deposit Taken": 500 } },
+ *         "qualification": { "minDuration": 30, "excludeVoicemail": true },
+ *         "pricing": { "products": {...}, "tiers": {...}, "thresholds": {...} },
+ *         "delivery": { "emailTo": "...", "sftpPath": "...", "spreadsheetId": "..." },
+ *         "ga4": { "measurementId": "G-ABC123", "apiSecretEnv": "GA4_API_SECRET_PHONE_LEAD", "eventName": "qualified_call",
+ *                  "skipWithoutClientId": true }
+ *       }
+ *     }
+ *   }
+ *
+ * Secrets never go in the registry - apiKeyEnv / webhookSecretEnv name
+ * the env vars that hold them (default CALLRAIL_API_KEY and
+ * CALLRAIL_WEBHOOK_SECRET). accountIdEnv / customerIdEnv do the same
+ * for IDs kept in env vars rather than the registry. The default client
+ * also falls back to the original single-account env vars
+ * (CALLRAIL_ACCOUNT_ID, GOOGLE_ADS_CUSTOMER_ID), so an existing deploy
+ * keeps working as-is. The bundled registry carries the two deployments
+ * it replaced: "phone-lead" is callrail-gads-bypass-v2, which differed
+ * from main only in its conversion action, and "bypass-v3" is
+ * callrail-gads-bypass-v3, the same code as main run against another
+ * account. Each reads its IDs and keys from env vars with its suffix.
+ * conversionName defaults to "Phone Call", timeZone to GADS_TIME_ZONE.
+ * conversionActions maps calls to other actions by tier, source,
+ * campaign, duration or tag (netlify/lib/conversion-actions.js).
+ * "attribution" picks how a repeat caller's value is split between
+ * their calls (netlify/lib/attribution.js). "valueRules" maps CallRail
+ * values, tags, milestones and lead statuses to call values ahead of
+ * the lead score (netlify/lib/value-sources.js). "qualification" drops
+ * short, missed, voicemail, spam or off-list calls before they are
+ * valued (netlify/lib/qualification.js).
+ * "ga4" also sends the conversions to GA4 over the Measurement Protocol
+ * (netlify/lib/ga4.js).
+ * "pricing" is the client's starting price list (config/pricing.json
+ * if omitted); dashboard edits are saved per client on top of it.
+ *
+ * Functions take ?client=<id>; no client means the default one.
+ */
+
+const fs = require('fs');
+const bundledClients = require('../../config/clients.json');
+const { DEFAULTS } = require('./conversions');
+const { validateActionRules } = require('./conversion-actions');
+const { normalizeAttribution } = require('./attribution');
+const { normalizeValueRules } = require('./value-sources');
+const { validateQualification } = require('./qualification');
+const { validateGa4 } = require('./ga4');
+
+class ClientError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'ClientError';
+    this.statusCode = statusCode;
+  }
+}
+
+let registry = null;
+
+function getRegistry() {
+  if (!registry) {
+    const config = process.env.CLIENTS_FILE
+      ? JSON.parse(fs.readFileSync(process.env.CLIENTS_FILE, 'utf8'))
+      : bundledClients;
+    registry = normalizeRegistry(config);
+  }
+  return registry;
+}
+
+function getClient(id) {
+  const { clients, defaultId } = getRegistry();
+  const client = clients[id || defaultId];
+  if (!client) {
+    throw new ClientError(`Unknown client "${id}"`, 404);
+  }
+  return client;
+}
+
+function listClients() {
+  return Object.values(getRegistry().clients);
+}
+
+// ===== NORMALIZING =====
+
+function normalizeRegistry(config) {
+  const entries = Object.entries(config.clients || {});
+  if (!entries.length) {
+    throw new Error('Client registry has no clients');
+  }
+
+  const defaultId = config.default || entries[0][0];
+  if (!config.clients[defaultId]) {
+    throw new Error(`Client registry default "${defaultId}" is not a client`);
+  }
+
+  const clients = {};
+  for (const [id, entry] of entries) {
+    if (!/^[a-z0-9_-]+$/i.test(id)) {
+      throw new Error(`Client id "${id}" may only use letters, numbers, - and _`);
+    }
+    clients[id] = normalizeClient(id, entry, id === defaultId);
+  }
+
+  return { clients, defaultId };
+}
+
+function normalizeClient(id, entry, isDefault) {
+  const callrail = entry.callrail || {};
+  const googleAds = entry.googleAds || {};
+  const ga4 = entry.ga4 || {};
+  const fallback = name => isDefault ? process.env[name] : undefined;
+
+  const ruleErrors = [
+    ...validateActionRules(entry.conversionActions || []),
+    ...validateQualification(entry.qualification || {}).map(error => `qualification: ${error}`),
+    ...validateGa4(ga4).map(error => `ga4: ${error}`)
+  ];
+  if (ruleErrors.length) {
+    throw new Error(`Client ${id}: ${ruleErrors.join('; ')}`);
+  }
+
+  let attribution, valueRules;
+  try {
+    attribution = normalizeAttribution(entry.attribution);
+    valueRules = normalizeValueRules(entry.valueRules);
+  } catch (error) {
+    throw new Error(`Client ${id}: ${error.message}`);
+  }
+
+  return {
+    id,
+    name: entry.name || id,
+    isDefault,
+    callrail: {
+      accountId: callrail.accountId || process.env[callrail.accountIdEnv] || fallback('CALLRAIL_ACCOUNT_ID'),
+      companyId: callrail.companyId || null,
+      apiKey: process.env[callrail.apiKeyEnv || 'CALLRAIL_API_KEY'],
+      webhookSecret: process.env[callrail.webhookSecretEnv || 'CALLRAIL_WEBHOOK_SECRET']
+    },
+    googleAds: {
+      customerId: String(googleAds.customerId || process.env[googleAds.customerIdEnv] || fallback('GOOGLE_ADS_CUSTOMER_ID') || '').replace(/-/g, '')
+    },
+    ga4: {
+      measurementId: ga4.measurementId || fallback('GA4_MEASUREMENT_ID') || null,
+      apiSecret: process.env[ga4.apiSecretEnv || 'GA4_API_SECRET'],
+      eventName: ga4.eventName || null,
+      skipWithoutClientId: ga4.skipWithoutClientId === true
+    },
+    conversionName: entry.conversionName || 'Phone Call',
+    conversionActions: entry.conversionActions || [],
+    timeZone: entry.timeZone || DEFAULTS.timeZone,
+    attribution,
+    valueRules,
+    qualification: entry.qualification || {},
+    pricing: entry.pricing || null,
+    delivery: entry.delivery || {}
+  };
+}
+
+module.exports = { ClientError, getClient, listClients };
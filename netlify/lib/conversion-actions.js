@@ -0,0 +1,114 @@
+/**
+ * Conversion Action Rules
+ *
+ * Picks the Google Ads conversion action(s) each call is reported under,
+ * so a sale and an OK lead land in different actions instead of only
+ * differing by value. Rules are the client's "conversionActions" in the
+ * client registry (netlify/lib/clients.js), checked in order:
+ *
+ *   "conversionActions": [
+ *     { "name": "Phone Call - Sale", "tiers": ["very_good"] },
+ *     { "name": "Phone Call - Qualified", "minTier": "good" },
+ *     { "name": "Phone Call - Long Call", "minDuration": 300, "additional": true, "value": 0 }
+ *   ]
+ *
+ * The first matching rule names the call's row; with no match it keeps
+ * the client's conversionName. A rule marked "additional" instead adds
+ * an extra row under its own action whenever it matches, so one call
+ * can count in several actions.
+ *
+ * Conditions - every one given must match:
+ *   tiers        ["good", "very_good"]   tier of the caller's best lead score
+ *   minTier      "good"                   that tier or better
+ *   sources      ["Google Ads"]           CallRail source (case-insensitive)
+ *   campaigns    ["Spring Outboards"]     CallRail campaign (case-insensitive)
+ *   minDuration  120                      call length in seconds
+ *   tags         ["Sold"]                 any of these CallRail tags
+ *
+ * "value" replaces the row's conversion value, e.g. 0 for count-only
+ * secondary actions. Only calls with a value get actions at all.
+ * "clickWindowDays" is the action's click-through window in Google Ads,
+ * when shorter than 90 days - later calls are flagged, not exported
+ * (netlify/lib/click-age.js).
+ */
+
+const { TIER_NAMES } = require('./pricing');
+const { tagNames, includesIgnoreCase } = require('./call-fields');
+
+const CONDITIONS = {
+  tiers: (rule, call, tier) => rule.tiers.includes(tier),
+  minTier: (rule, call, tier) => TIER_NAMES.indexOf(tier) >= TIER_NAMES.indexOf(rule.minTier),
+  sources: (rule, call) => includesIgnoreCase(rule.sources, call.source),
+  campaigns: (rule, call) => includesIgnoreCase(rule.campaigns, call.campaign),
+  minDuration: (rule, call) => (call.duration || 0) >= rule.minDuration,
+  tags: (rule, call) => tagNames(call).some(name => includesIgnoreCase(rule.tags, name))
+};
+
+// → { name, rule, clickWindowDays, additional: [{ name, rule, value, clickWindowDays }], missed: [names] }
+// `missed` lists the additional actions this call didn't earn, so rows
+// exported under them earlier can be retracted.
+function resolveActions(call, tier, rules, defaultName) {
+  const result = { name: defaultName, rule: null, additional: [], missed: [] };
+  let named = false;
+
+  for (const rule of rules || []) {
+    const matches = Object.keys(CONDITIONS).every(key => !(key in rule) || CONDITIONS[key](rule, call, tier));
+
+    if (rule.additional) {
+      if (matches) {
+        result.additional.push({ name: rule.name, rule: rule.name, value: rule.value, clickWindowDays: rule.clickWindowDays });
+      } else {
+        result.missed.push(rule.name);
+      }
+    } else if (matches && !named) {
+      result.name = rule.name;
+      result.rule = rule.name;
+      result.value = rule.value;
+      result.clickWindowDays = rule.clickWindowDays;
+      named = true;
+    }
+  }
+
+  return result;
+}
+
+// Every additional action a client can produce
+function additionalActionNames(rules) {
+  return (rules || []).filter(r => r.additional).map(r => r.name);
+}
+
+// Returns a list of human-readable problems, empty when valid
+function validateActionRules(rules) {
+  if (!Array.isArray(rules)) return ['conversionActions must be an array of rules'];
+
+  const errors = [];
+  rules.forEach((rule, i) => {
+    const label = `conversionActions[${i}]`;
+    if (!rule.name || typeof rule.name !== 'string') errors.push(`${label}: name is required`);
+    for (const tier of rule.tiers || []) {
+      if (!TIER_NAMES.includes(tier)) errors.push(`${label}: unknown tier "${tier}"`);
+    }
+    if ('minTier' in rule && !TIER_NAMES.includes(rule.minTier)) {
+      errors.push(`${label}: unknown minTier "${rule.minTier}"`);
+    }
+    if ('minDuration' in rule && !(rule.minDuration >= 0)) {
+      errors.push(`${label}: minDuration must be a number of seconds`);
+    }
+    for (const key of ['tiers', 'sources', 'campaigns', 'tags']) {
+      if (key in rule && !Array.isArray(rule[key])) errors.push(`${label}: ${key} must be an array`);
+    }
+    if ('value' in rule && !(rule.value >= 0)) errors.push(`${label}: value must be a number >= 0`);
+    if ('clickWindowDays' in rule && !(rule.clickWindowDays >= 1 && rule.clickWindowDays <= 90)) {
+      errors.push(`${label}: clickWindowDays must be between 1 and 90`);
+    }
+  });
+
+  const additional = additionalActionNames(rules);
+  if (new Set(additional).size !== additional.length) {
+    errors.push('conversionActions: additional action names must be unique');
+  }
+
+  return errors;
+}
+
+module.exports = { resolveActions, additionalActionNames, validateActionRules };
@@ -0,0 +1,452 @@
+/**
+ * Conversion Pipeline
+ *
+ * Turns CallRail calls into Google Ads conversion rows: click ID / phone
+ * matching, repeat-caller grouping, lead-score tiers, product detection
+ * and time formatting. Shared by the export function and the webhook
+ * receiver so both value a call the same way.
+ *
+ * Env:
+ *   GADS_TIME_ZONE             IANA zone for conversion times (default America/Phoenix)
+ *   GADS_DEFAULT_COUNTRY_CODE  prepended to 10-digit numbers for E.164 (default 1)
+ */
+
+const crypto = require('crypto');
+const { detectProduct } = require('./product-rules');
+const { resolveActions, additionalActionNames } = require('./conversion-actions');
+const { attributeValue, normalizeAttribution } = require('./attribution');
+const { resolveCallerValue, normalizeValueRules } = require('./value-sources');
+const { qualifyCall } = require('./qualification');
+const { checkClickAge } = require('./click-age');
+
+const DEFAULTS = {
+  // Should match the Google Ads account's time zone
+  timeZone: process.env.GADS_TIME_ZONE || 'America/Phoenix',
+  countryCode: process.env.GADS_DEFAULT_COUNTRY_CODE || '1'
+};
+
+// ===== CONVERSION PIPELINE =====
+
+// Click ID / phone matching, repeat-caller grouping and tier valuation.
+// Pure apart from `now` - the same calls and pricing always give the same
+// rows, which is what lets format=preview compare two price lists side by side.
+// conversionActions (netlify/lib/conversion-actions.js) can rename a
+// call's row and add rows under secondary actions (secondary: true);
+// stats count calls and their main rows only.
+// A caller's value is split by the attribution model (netlify/lib/attribution.js);
+// priorCalls - the caller history from before the window - join the
+// groups and the split but never produce new rows: their rows under the
+// new split go to `restated`, only to restate what they were exported at.
+// The caller's value comes from the strongest CallRail signal under
+// valueRules (netlify/lib/value-sources.js) - lead score tiers last.
+// Calls failing the qualification rules (netlify/lib/qualification.js)
+// are dropped before any of that; stats.excluded counts them per rule.
+// Rows Google Ads would reject for their click's age (netlify/lib/click-age.js)
+// go to `rejected` with the reason instead of `conversions`; their share
+// of the caller's value is not exported. stats.rejected counts them.
+function buildConversions(calls, pricing, {
+  enhanced = false,
+  timeZone = DEFAULTS.timeZone,
+  conversionName = 'Phone Call',
+  conversionActions = [],
+  attribution = normalizeAttribution(),
+  valueRules = normalizeValueRules(),
+  qualification = {},
+  priorCalls = [],
+  now = new Date()
+} = {}) {
+  const conversions = [];
+  const rejected = []; // would fail at upload - shown with the reason, never exported
+  const zeroed = []; // $0 calls - only needed to retract earlier exports
+  const restated = []; // prior calls re-split with this window's calls - never exported as new
+  const stats = {
+    totalCalls: calls.length,
+    withClickId: 0,
+    clickIdTypes: { gclid: 0, wbraid: 0, gbraid: 0 },
+    phoneOnly: 0,
+    recoveredByEnhanced: 0,
+    withValue: 0,
+    zeroValue: 0,
+    totalValue: 0,
+    actions: {},
+    valueSources: {},
+    excluded: {},
+    rejected: {}
+  };
+
+  // Rows whose click Google Ads won't accept are set aside with the reason
+  const add = (row, call, clickWindowDays) => {
+    const rejection = row.clickId && checkClickAge(call, { windowDays: clickWindowDays, now });
+    if (rejection) {
+      stats.rejected[rejection.reason] = (stats.rejected[rejection.reason] || 0) + 1;
+      rejected.push({ ...row, rejection });
+      return;
+    }
+    conversions.push(row);
+    if (!row.secondary) stats.totalValue += row.conversionValue;
+  };
+
+  const zero = (call, clickId, secondaryName, into = zeroed) => into.push(zeroRow(call, clickId, secondaryName));
+  // The call's main row and every secondary action it could have had
+  const zeroAll = (call, clickId, into = zeroed) => {
+    zero(call, clickId, undefined, into);
+    for (const name of additionalActionNames(conversionActions)) zero(call, clickId, name, into);
+  };
+
+  // Group by phone number to handle repeat callers
+  const callerGroups = {};
+
+  for (const call of priorCalls) {
+    const clickId = extractClickId(call);
+    const hashedPhone = hashPhone(call.customer_phone_number);
+    if (!clickId && !(enhanced && hashedPhone)) continue;
+    if (qualifyCall(call, qualification)) continue;
+
+    const phone = callerKey(call);
+    if (!callerGroups[phone]) {
+      callerGroups[phone] = [];
+    }
+    callerGroups[phone].push({ call, clickId, hashedPhone, prior: true });
+  }
+
+  for (const call of calls) {
+    const clickId = extractClickId(call);
+    const hashedPhone = hashPhone(call.customer_phone_number);
+
+    // Unqualified calls are never valued - and retracted if exported before
+    const failedRule = qualifyCall(call, qualification);
+    if (failedRule) {
+      stats.excluded[failedRule] = (stats.excluded[failedRule] || 0) + 1;
+      if (clickId || hashedPhone) zeroAll(call, clickId);
+      continue;
+    }
+
+    if (clickId) {
+      stats.withClickId++;
+      stats.clickIdTypes[clickId.type]++;
+    } else if (hashedPhone) {
+      stats.phoneOnly++;
+      if (!enhanced) continue;
+    } else {
+      continue;
+    }
+
+    const phone = callerKey(call);
+    if (!callerGroups[phone]) {
+      callerGroups[phone] = [];
+    }
+    callerGroups[phone].push({ call, clickId, hashedPhone });
+  }
+
+  // Process each caller group - split value across calls
+  for (const phone in callerGroups) {
+    const group = callerGroups[phone];
+    const current = group.filter(member => !member.prior);
+    if (!current.length) continue; // only history - nothing to export
+    
+    // Find best lead score in the group
+    let bestScore = 0;
+    let productMatch = null;
+    
+    for (const { call } of group) {
+      const score = getScorePercent(call);
+      if (score > bestScore) {
+        bestScore = score;
+      }
+      const match = detectProduct(call, pricing.products);
+      if (match.product !== 'default' || !productMatch) {
+        productMatch = { ...match, callId: call.id };
+      }
+    }
+    const bestProduct = productMatch.product;
+
+    // Value from the strongest signal - lead score falls back to the best score's tier
+    const productPrice = pricing.products[bestProduct] || pricing.products.default;
+    const { tier, value: totalValue, source: valueSource } = resolveCallerValue(group.map(member => member.call), valueRules, {
+      productPrice,
+      multipliers: pricing.tiers,
+      scoreTier: getTier(bestScore, pricing.thresholds)
+    });
+
+    if (totalValue <= 0) {
+      stats.zeroValue += current.length;
+      for (const { call, clickId, prior } of group) {
+        zeroAll(call, clickId, prior ? restated : zeroed);
+      }
+      continue;
+    }
+
+    const shares = attributeValue(group.map(member => member.call), totalValue, attribution);
+
+    for (const [i, { call, clickId, hashedPhone, prior }] of group.entries()) {
+      // A prior call's rows only restate its export - no stats, no click age check
+      const keep = prior ? row => restated.push(row) : add;
+
+      const split = shares[i];
+      const perCallValue = split.value;
+      // Calls the model gave nothing (e.g. not the last click) - retract if exported before
+      if (perCallValue <= 0) {
+        if (!prior) stats.zeroValue++;
+        zeroAll(call, clickId, prior ? restated : zeroed);
+        continue;
+      }
+
+      const actions = resolveActions(call, tier, conversionActions, conversionName);
+      if (!prior) {
+        stats.withValue++;
+        stats.valueSources[valueSource.type] = (stats.valueSources[valueSource.type] || 0) + 1;
+        if (!clickId) stats.recoveredByEnhanced++;
+        stats.actions[actions.name] = (stats.actions[actions.name] || 0) + 1;
+      }
+
+      const row = {
+        clickIdType: clickId ? clickId.type : null,
+        clickId: clickId ? clickId.id : '',
+        hashedPhone: enhanced ? hashedPhone : null,
+        gaClientId: extractGaClientId(call),
+        conversionName: actions.name,
+        conversionTime: formatGoogleAdsTime(call.start_time, timeZone),
+        conversionValue: actions.value ?? perCallValue,
+        currency: 'USD',
+        // Extra info for JSON view
+        callId: call.id,
+        phone: call.customer_phone_number || '',
+        tier,
+        product: bestProduct,
+        productMatch,
+        productPrice,
+        valueSource,
+        campaign: call.campaign || '',
+        source: call.source || '',
+        duration: call.duration || 0,
+        leadScore: bestScore,
+        pricingVersion: pricing.version,
+        actionRule: actions.rule,
+        attribution: {
+          model: attribution.model,
+          share: split.share,
+          callerValue: totalValue,
+          callerCalls: group.length,
+          priorCalls: group.length - current.length,
+          reason: split.reason
+        }
+      };
+      keep(row, call, actions.clickWindowDays);
+
+      for (const extra of actions.additional) {
+        if (!prior) stats.actions[extra.name] = (stats.actions[extra.name] || 0) + 1;
+        keep({
+          ...row,
+          conversionName: extra.name,
+          conversionValue: extra.value ?? perCallValue,
+          actionRule: extra.rule,
+          secondary: true
+        }, call, extra.clickWindowDays);
+      }
+      for (const name of actions.missed) zero(call, clickId, name, prior ? restated : zeroed);
+    }
+  }
+
+  return {
+    conversions,
+    zeroed,
+    rejected,
+    restated,
+    stats,
+    uniqueCallers: Object.values(callerGroups).filter(group => group.some(member => !member.prior)).length
+  };
+}
+
+// $0 row for a call (or one of its secondary actions) that earlier exports may need retracted
+function zeroRow(call, clickId, secondaryName) {
+  return {
+    clickIdType: clickId ? clickId.type : null,
+    clickId: clickId ? clickId.id : '',
+    callId: call.id,
+    // A missed secondary action is retracted even when it was exported at $0
+    ...(secondaryName && { conversionName: secondaryName, secondary: true, retract: true }),
+    conversionValue: 0,
+    currency: 'USD'
+  };
+}
+
+// ===== CLICK ID EXTRACTION =====
+
+// Google accepts exactly one click ID per conversion. GCLID wins whenever
+// present; otherwise WBRAID (web conversions from iOS) beats GBRAID (app).
+// CallRail only has a call field for the GCLID (requested in callrail.js),
+// which beats the landing page URL; WBRAID / GBRAID come from the URL.
+const CLICK_ID_TYPES = ['gclid', 'wbraid', 'gbraid'];
+
+function extractClickId(call) {
+  for (const type of CLICK_ID_TYPES) {
+    const id = (type === 'gclid' && call.gclid) || getUrlParam(call.landing_page_url, type);
+    if (id) return { type, id };
+  }
+
+  return null;
+}
+
+function getUrlParam(url, name) {
+  if (!url) return null;
+  const match = url.match(new RegExp(`[?&#]${name}=([^&#]+)`));
+  if (!match) return null;
+
+  try {
+    return decodeURIComponent(match[1]);
+  } catch {
+    return match[1];
+  }
+}
+
+// GA4 client ID from the _ga cookie CallRail captured - its last two parts
+// ("GA1.2.1234567890.1700000000" → "1234567890.1700000000")
+function extractGaClientId(call) {
+  const match = String(call.ga || '').match(/(\d+\.\d+)$/);
+  return match ? match[1] : null;
+}
+
+// ===== VALUE CALCULATION =====
+
+function getScorePercent(call) {
+  const leadScore = call.lead_score;
+  if (!leadScore) return 30; // Default to "poor" if no score
+
+  if (typeof leadScore === 'object') {
+    return leadScore.percent || leadScore.score || 30;
+  }
+  if (typeof leadScore === 'number') {
+    return leadScore;
+  }
+  if (typeof leadScore === 'string') {
+    const map = { 'very_poor': 10, 'poor': 30, 'fair': 50, 'good': 70, 'very_good': 90 };
+    return map[leadScore.toLowerCase()] || 30;
+  }
+
+  return 30;
+}
+
+function getTier(scorePercent, thresholds) {
+  if (scorePercent >= thresholds.very_good) return 'very_good';
+  if (scorePercent >= thresholds.good) return 'good';
+  if (scorePercent >= thresholds.fair) return 'fair';
+  if (scorePercent >= thresholds.poor) return 'poor';
+  return 'very_poor';
+}
+
+// ===== ENHANCED CONVERSIONS =====
+
+// Google's normalization: E.164 ("+" country code + number, digits only),
+// then SHA-256 as lowercase hex. Returns null for numbers we can't place.
+function toE164(phone) {
+  if (!phone) return null;
+  const digits = phone.replace(/\D/g, '');
+  const countryCode = DEFAULTS.countryCode;
+
+  if (phone.trim().startsWith('+')) {
+    return digits.length >= 8 && digits.length <= 15 ? '+' + digits : null;
+  }
+  if (digits.length === 10) return '+' + countryCode + digits;
+  if (countryCode === '1' && digits.length === 11 && digits.startsWith('1')) return '+' + digits;
+
+  return null;
+}
+
+function hashPhone(phone) {
+  const e164 = toE164(phone);
+  if (!e164) return null;
+  return crypto.createHash('sha256').update(e164).digest('hex');
+}
+
+function normalizePhone(phone) {
+  if (!phone) return 'unknown';
+  return phone.replace(/\D/g, '').slice(-10);
+}
+
+// Repeat-caller grouping key. Calls with no usable number (blocked,
+// "Anonymous") are each their own caller - never merged together.
+function callerKey(call) {
+  const phone = normalizePhone(call.customer_phone_number);
+  return phone && phone !== 'unknown' ? phone : `call:${call.id}`;
+}
+
+// ===== FORMATTING =====
+
+// Wall-clock time and UTC offset in the given zone, e.g.
+// "2026-03-08 03:15:00-0700" for America/Los_Angeles right after DST starts
+function formatGoogleAdsTime(isoString, timeZone = DEFAULTS.timeZone) {
+  const date = new Date(isoString);
+  if (isNaN(date)) {
+    throw new Error(`Invalid call time: ${isoString}`);
+  }
+
+  const parts = {};
+  for (const { type, value } of getZoneFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  // Older ICU builds render midnight as "24" despite hourCycle h23
+  const hour = parts.hour === '24' ? '00' : parts.hour;
+
+  // Offset = the zone's wall clock read back as if it were UTC, minus the real instant
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, hour, parts.minute, parts.second);
+  const offsetMinutes = Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const offsetHours = String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0');
+  const offsetMins = String(Math.abs(offsetMinutes) % 60).padStart(2, '0');
+
+  return `${parts.year}-${parts.month}-${parts.day} ${hour}:${parts.minute}:${parts.second}${sign}${offsetHours}${offsetMins}`;
+}
+
+// "2026-10-01" or "2026-10-01T08:30" read as wall-clock time in the zone;
+// anything with Z or an offset is taken as-is. Invalid input gives an
+// invalid Date.
+function parseZonedTime(value, timeZone = DEFAULTS.timeZone) {
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!match) return new Date(value);
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Offset at the first guess can be off by an hour across a DST change - settle it
+  const guess = wallClock - zoneOffsetMs(wallClock, timeZone);
+  return new Date(wallClock - zoneOffsetMs(guess, timeZone));
+}
+
+function zoneOffsetMs(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of getZoneFormatter(timeZone).formatToParts(new Date(instant))) {
+    parts[type] = value;
+  }
+  const hour = parts.hour === '24' ? '00' : parts.hour;
+  return Date.UTC(parts.year, parts.month - 1, parts.day, hour, parts.minute, parts.second) - Math.floor(instant / 1000) * 1000;
+}
+
+const zoneFormatters = {};
+
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters[timeZone]) {
+    zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  return zoneFormatters[timeZone];
+}
+
+module.exports = {
+  DEFAULTS,
+  buildConversions,
+  extractClickId,
+  extractGaClientId,
+  getScorePercent,
+  getTier,
+  hashPhone,
+  normalizePhone,
+  formatGoogleAdsTime,
+  parseZonedTime
+};
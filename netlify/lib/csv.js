@@ -0,0 +1,96 @@
+/**
+ * CSV Writer / Reader (RFC 4180)
+ *
+ * Fields containing a comma, quote, CR or LF are wrapped in double
+ * quotes with inner quotes doubled. Rows end in CRLF.
+ *
+ *   toCsv(rows, [
+ *     { header: 'Google Click ID', value: r => r.gclid },
+ *     { header: 'Conversion Value', value: r => r.conversionValue }
+ *   ], { timeZone: 'America/Phoenix' })
+ *
+ * Options:
+ *   timeZone  → adds Google's "Parameters:TimeZone=<zone>" template line
+ *   layout    → 'csv' (default) or 'sheets': every row padded to the same
+ *               number of cells, matching Google's XLSX / Sheets template
+ */
+
+const EOL = '\r\n';
+
+function escapeField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+function toCsv(rows, columns, options = {}) {
+  const lines = [];
+  const width = columns.length;
+  const pad = cells => options.layout === 'sheets'
+    ? cells.concat(Array(Math.max(0, width - cells.length)).fill(''))
+    : cells;
+
+  if (options.timeZone) {
+    lines.push(pad([`Parameters:TimeZone=${options.timeZone}`]));
+  }
+  lines.push(columns.map(c => c.header));
+  for (const row of rows) {
+    lines.push(columns.map(c => c.value(row)));
+  }
+
+  return lines.map(cells => cells.map(escapeField).join(',')).join(EOL) + EOL;
+}
+
+// Inverse of toCsv - returns an array of string arrays. Accepts LF or
+// CRLF endings, a leading BOM and quoted fields spanning lines.
+function parseCsv(text) {
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV parse error: unterminated quoted field');
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+module.exports = { toCsv, parseCsv, escapeField };
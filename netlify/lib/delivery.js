@@ -0,0 +1,233 @@
+/**
+ * Export Delivery
+ *
+ * Hands a finished conversions file to wherever Google Ads (or a person)
+ * picks it up. Used by the scheduled export.
+ *
+ *   await deliver(['email', 'sftp'], { filename, csv, sheetRows, summary, overrides, createdAt })
+ *     → [{ target: 'email', status: 'delivered', detail }, { target: 'sftp', status: 'failed', error }]
+ *
+ * Targets (EXPORT_DELIVERY, comma-separated):
+ *
+ *   email   CSV attached to an email over SMTP
+ *             SMTP_HOST, SMTP_PORT (587), SMTP_SECURE=true for implicit TLS,
+ *             SMTP_USER / SMTP_PASSWORD, EXPORT_EMAIL_FROM, EXPORT_EMAIL_TO
+ *   sftp    CSV written to an SFTP server, e.g. the one a Google Ads
+ *           scheduled upload reads from. Each run writes a new file, its
+ *           time stamped into SFTP_PATH (/callrail_gads_conversions.csv →
+ *           /callrail_gads_conversions_20261019-130000.csv), so a file
+ *           Google hasn't fetched yet is never overwritten
+ *             SFTP_HOST, SFTP_PORT (22), SFTP_USERNAME, SFTP_PASSWORD or
+ *             SFTP_PRIVATE_KEY, SFTP_PATH (/callrail_gads_conversions.csv)
+ *   sheets  Rows appended to a Google Sheet tab, for a Google Ads
+ *           scheduled upload from Sheets. The template lines go in once,
+ *           when the tab is empty; Google re-reads the whole tab each
+ *           schedule and skips conversions it already has as duplicates
+ *             GOOGLE_SHEETS_CREDENTIALS (service account JSON - share the
+ *             sheet with its client_email), GOOGLE_SHEETS_SPREADSHEET_ID,
+ *             GOOGLE_SHEETS_TAB (Sheet1)
+ *
+ * Per-client destinations come from the client registry's "delivery"
+ * (file.overrides): emailTo, sftpPath, spreadsheetId, sheetTab.
+ *
+ * Every host is configurable, and GOOGLE_SHEETS_API_URL /
+ * GOOGLE_OAUTH_TOKEN_URL can point at local stand-ins for testing.
+ * One failing target doesn't stop the others.
+ */
+
+const crypto = require('crypto');
+
+const TARGETS = {
+  email: deliverEmail,
+  sftp: deliverSftp,
+  sheets: deliverSheets
+};
+
+function deliveryTargets() {
+  const targets = (process.env.EXPORT_DELIVERY || '')
+    .split(',')
+    .map(t => t.trim())
+    .filter(Boolean);
+
+  const unknown = targets.filter(t => !TARGETS[t]);
+  if (unknown.length) {
+    throw new Error(`EXPORT_DELIVERY: unknown target ${unknown.join(', ')} - use ${Object.keys(TARGETS).join(', ')}`);
+  }
+  return targets;
+}
+
+async function deliver(targets, file) {
+  const results = [];
+
+  for (const target of targets) {
+    try {
+      const detail = await TARGETS[target](file);
+      results.push({ target, status: 'delivered', detail });
+    } catch (error) {
+      console.error(`Delivery to ${target} failed:`, error);
+      results.push({ target, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+// ===== EMAIL (SMTP) =====
+
+async function deliverEmail(file) {
+  const to = file.overrides?.emailTo || process.env.EXPORT_EMAIL_TO;
+  requireEnv('email', ['SMTP_HOST', 'EXPORT_EMAIL_FROM']);
+  if (!to) {
+    throw new Error('email delivery not configured (missing EXPORT_EMAIL_TO)');
+  }
+
+  const nodemailer = require('nodemailer');
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER && {
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+    })
+  });
+
+  const info = await transport.sendMail({
+    from: process.env.EXPORT_EMAIL_FROM,
+    to,
+    subject: `Google Ads conversions for ${file.summary.client}: ${file.summary.rows} new, $${file.summary.totalValue.toFixed(2)}`,
+    text: [
+      `${file.summary.rows} new conversions worth $${file.summary.totalValue.toFixed(2)}`,
+      `Calls from ${file.summary.from} to ${file.summary.to}`,
+      '',
+      'Upload the attached file in Google Ads: Goals → Conversions → Uploads.'
+    ].join('\n'),
+    attachments: [{ filename: file.filename, content: file.csv, contentType: 'text/csv' }]
+  });
+
+  return `Sent to ${to} (${info.messageId})`;
+}
+
+// ===== SFTP =====
+
+async function deliverSftp(file) {
+  requireEnv('sftp', ['SFTP_HOST', 'SFTP_USERNAME']);
+
+  const SftpClient = require('ssh2-sftp-client');
+  const sftp = new SftpClient();
+  const remotePath = datedPath(
+    file.overrides?.sftpPath || process.env.SFTP_PATH || '/callrail_gads_conversions.csv',
+    file.createdAt || new Date()
+  );
+
+  await sftp.connect({
+    host: process.env.SFTP_HOST,
+    port: parseInt(process.env.SFTP_PORT) || 22,
+    username: process.env.SFTP_USERNAME,
+    password: process.env.SFTP_PASSWORD,
+    privateKey: process.env.SFTP_PRIVATE_KEY
+  });
+
+  try {
+    await sftp.put(Buffer.from(file.csv, 'utf8'), remotePath);
+  } finally {
+    await sftp.end();
+  }
+
+  return `Wrote ${process.env.SFTP_HOST}:${remotePath}`;
+}
+
+// ===== GOOGLE SHEETS =====
+
+async function deliverSheets(file) {
+  const spreadsheetId = file.overrides?.spreadsheetId || process.env.GOOGLE_SHEETS_SPREADSHEET_ID;
+  requireEnv('sheets', ['GOOGLE_SHEETS_CREDENTIALS']);
+  if (!spreadsheetId) {
+    throw new Error('sheets delivery not configured (missing GOOGLE_SHEETS_SPREADSHEET_ID)');
+  }
+
+  const apiUrl = process.env.GOOGLE_SHEETS_API_URL || 'https://sheets.googleapis.com/v4';
+  const range = encodeURIComponent(file.overrides?.sheetTab || process.env.GOOGLE_SHEETS_TAB || 'Sheet1');
+  const base = `${apiUrl}/spreadsheets/${spreadsheetId}/values/${range}`;
+  const accessToken = await getSheetsAccessToken();
+
+  // Append rather than replace - rows still waiting for Google's next
+  // read stay put. An empty tab gets the template lines first.
+  const existing = await sheetsRequest(accessToken, 'GET', base);
+  const headerRows = file.sheetRows.length - file.summary.rows;
+  const values = existing.values?.length ? file.sheetRows.slice(headerRows) : file.sheetRows;
+  await sheetsRequest(accessToken, 'POST', `${base}:append?valueInputOption=RAW&insertDataOption=INSERT_ROWS`, { values });
+
+  return `Appended ${values.length} rows to spreadsheet ${spreadsheetId}`;
+}
+
+// Service account JWT bearer grant
+async function getSheetsAccessToken() {
+  const credentials = JSON.parse(process.env.GOOGLE_SHEETS_CREDENTIALS);
+  const tokenUrl = process.env.GOOGLE_OAUTH_TOKEN_URL || 'https://oauth2.googleapis.com/token';
+  const now = Math.floor(Date.now() / 1000);
+
+  const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({
+    iss: credentials.client_email,
+    scope: 'https://www.googleapis.com/auth/spreadsheets',
+    aud: tokenUrl,
+    iat: now,
+    exp: now + 3600
+  })}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), credentials.private_key).toString('base64url');
+
+  const response = await fetch(tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: `${unsigned}.${signature}`
+    }).toString()
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.access_token) {
+    throw new Error(`Google OAuth error: ${response.status} ${data.error_description || data.error || response.statusText}`);
+  }
+
+  return data.access_token;
+}
+
+async function sheetsRequest(accessToken, method, url, body) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Google Sheets API error: ${response.status} ${data.error?.message || response.statusText}`);
+  }
+
+  return data;
+}
+
+// ===== HELPERS =====
+
+// "/dir/name.csv" → "/dir/name_20261019-130000.csv" (UTC)
+function datedPath(remotePath, date) {
+  const stamp = new Date(date).toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const slash = remotePath.lastIndexOf('/') + 1;
+  const dot = remotePath.lastIndexOf('.');
+  return dot > slash
+    ? `${remotePath.slice(0, dot)}_${stamp}${remotePath.slice(dot)}`
+    : `${remotePath}_${stamp}`;
+}
+
+function requireEnv(target, names) {
+  const missing = names.filter(name => !process.env[name]);
+  if (missing.length) {
+    throw new Error(`${target} delivery not configured (missing ${missing.join(', ')})`);
+  }
+}
+
+module.exports = { deliveryTargets, deliver };
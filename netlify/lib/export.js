@@ -0,0 +1,163 @@
+/**
+ * Export Pipeline
+ *
+ * The steps shared by every export path - the dashboard / API handler
+ * (sync-gads-conversions) and the scheduled export:
+ *
+ *   const client = getClient(params.client);
+ *   const { calls, priorCalls, truncated } = await loadCalls(startDate, endDate, client, { source });
+ *   const { conversions, zeroed, rejected, stats, uniqueCallers, exported, adjustments } =
+ *     await prepareConversions(calls, pricing, client, { enhanced, priorCalls });
+ *
+ * priorCalls is the client's attribution lookback - calls from the
+ * lookbackDays before the window, so repeat callers are grouped across
+ * it (netlify/lib/attribution.js). Empty when lookbackDays is 0. When
+ * the new split changes what an already-exported prior call is worth,
+ * its value is restated with the adjustments.
+ *
+ * `rejected` holds rows Google Ads would refuse for their click's age,
+ * each with a `rejection` reason - shown, never exported. They are still
+ * looked up in the ledger: a row uploaded while its click was fresh can
+ * age past the limit later, and `exported` says it already went out.
+ *
+ * `exported` is the ledger lookup keyed by ledgerKey(), so callers can
+ * pick out new rows; stats gains alreadyExported, newConversions and
+ * pendingAdjustments. Also holds the Google Ads template columns.
+ *
+ *   const { events, alreadySent } = await prepareGa4Events(calls, pricing, client, { priorCalls });
+ *
+ * gives the rows for GA4 instead (netlify/lib/ga4.js): one per valued
+ * call, minus the calls the ledger says GA4 already has.
+ */
+
+const { TIME_BUDGET_MS, fetchAllCalls } = require('./callrail');
+const { listQueuedCalls } = require('./webhook-queue');
+const { buildConversions } = require('./conversions');
+const { ledgerKey, lookupExports, findAdjustments } = require('./ledger');
+const { ga4ClientId } = require('./ga4');
+
+// ===== TEMPLATE COLUMNS =====
+
+// Google Ads offline click conversion template columns - one click ID per row
+const clickIdOf = type => c => c.clickIdType === type ? c.clickId : '';
+
+const CONVERSION_COLUMNS = [
+  { header: 'Google Click ID', value: clickIdOf('gclid') },
+  { header: 'WBRAID', value: clickIdOf('wbraid') },
+  { header: 'GBRAID', value: clickIdOf('gbraid') },
+  { header: 'Conversion Name', value: c => c.conversionName },
+  { header: 'Conversion Time', value: c => c.conversionTime },
+  { header: 'Conversion Value', value: c => c.conversionValue },
+  { header: 'Conversion Currency', value: c => c.currency }
+];
+
+// Enhanced conversions for leads - user-provided data, hashed
+const PHONE_COLUMN = { header: 'Phone Number', value: c => c.hashedPhone || '' };
+
+// Google Ads conversion adjustments template columns
+const ADJUSTMENT_COLUMNS = [
+  { header: 'Google Click ID', value: a => a.gclid },
+  { header: 'Conversion Name', value: a => a.conversionName },
+  { header: 'Conversion Time', value: a => a.conversionTime },
+  { header: 'Adjustment Time', value: a => a.adjustmentTime },
+  { header: 'Adjustment Type', value: a => a.adjustmentType },
+  { header: 'Adjusted Value', value: a => a.adjustmentType === 'RETRACTION' ? '' : a.adjustedValue },
+  { header: 'Adjusted Value Currency', value: a => a.currency }
+];
+
+function conversionColumns(enhanced) {
+  return enhanced ? [...CONVERSION_COLUMNS, PHONE_COLUMN] : CONVERSION_COLUMNS;
+}
+
+// ===== PIPELINE =====
+
+// Polls CallRail, or reads what callrail-webhook queued (source = 'queue')
+async function loadCalls(startDate, endDate, client, { source, timeBudgetMs = TIME_BUDGET_MS } = {}) {
+  const startedAt = Date.now();
+  const read = (from, to, budget) => readCalls(from, to, client, { source, timeBudgetMs: budget });
+
+  const { calls, truncated } = await read(startDate, endDate, timeBudgetMs);
+  const result = { calls, priorCalls: [], truncated };
+
+  const { lookbackDays } = client.attribution;
+  if (!lookbackDays) return result;
+
+  // The lookback gets whatever budget the window left; a cut-short
+  // history only weakens the split, so it's reported, not fatal
+  const remainingMs = timeBudgetMs - (Date.now() - startedAt);
+  if (remainingMs <= 0) {
+    result.lookbackTruncated = true;
+    return result;
+  }
+
+  const lookbackStart = new Date(startDate - lookbackDays * 24 * 60 * 60 * 1000);
+  const history = await read(lookbackStart, startDate, remainingMs);
+  const inWindow = new Set(calls.map(call => call.id));
+  result.priorCalls = history.calls.filter(call => !inWindow.has(call.id));
+  result.lookbackTruncated = !!history.truncated;
+  return result;
+}
+
+// One range, no lookback → { calls, truncated }
+function readCalls(startDate, endDate, client, { source, timeBudgetMs = TIME_BUDGET_MS } = {}) {
+  return source === 'queue'
+    ? listQueuedCalls(startDate, endDate, client).then(calls => ({ calls, truncated: null }))
+    : fetchAllCalls(startDate, endDate, client.callrail, { timeBudgetMs });
+}
+
+// buildConversions with the client's time zone, conversion actions and
+// attribution (options.attribution overrides parts of the client's).
+// `now` pins the clock the click-age check reads - for tests
+function conversionOptions(client, { enhanced = false, attribution, priorCalls = [], now } = {}) {
+  return {
+    enhanced,
+    timeZone: client.timeZone,
+    conversionName: client.conversionName,
+    conversionActions: client.conversionActions,
+    attribution: { ...client.attribution, ...attribution },
+    valueRules: client.valueRules,
+    qualification: client.qualification,
+    priorCalls,
+    now
+  };
+}
+
+async function prepareConversions(calls, pricing, client, options = {}) {
+  const { conversions, zeroed, rejected, restated, stats, uniqueCallers } =
+    buildConversions(calls, pricing, conversionOptions(client, options));
+
+  // Check the ledger for rows that already went to Google Ads
+  const exported = await lookupExports([...conversions, ...zeroed, ...restated, ...rejected]);
+  stats.alreadyExported = conversions.filter(c => exported[ledgerKey(c)]).length;
+  stats.newConversions = conversions.length - stats.alreadyExported;
+
+  const adjustments = findAdjustments([...conversions, ...zeroed, ...restated], exported);
+  stats.pendingAdjustments = adjustments.length;
+
+  return { conversions, zeroed, rejected, stats, uniqueCallers, exported, adjustments };
+}
+
+// GA4 counts calls, not clicks: every valued call's main row goes, with
+// or without a click ID (so enhanced matching is always on), including
+// rows Google Ads would reject for their click's age
+async function prepareGa4Events(calls, pricing, client, options = {}) {
+  const { conversions, rejected } = buildConversions(calls, pricing, conversionOptions(client, { ...options, enhanced: true }));
+  const rows = [...conversions, ...rejected]
+    .filter(c => !c.secondary)
+    .map(({ rejection, hashedPhone, ...row }) => ({ ...row, ...ga4ClientId(row) }));
+
+  const sent = await lookupExports(rows, 'ga4');
+  const events = rows.filter(c => !sent[ledgerKey(c, 'ga4')]);
+  return { events, alreadySent: rows.length - events.length };
+}
+
+module.exports = {
+  CONVERSION_COLUMNS,
+  ADJUSTMENT_COLUMNS,
+  conversionColumns,
+  conversionOptions,
+  loadCalls,
+  readCalls,
+  prepareConversions,
+  prepareGa4Events
+};
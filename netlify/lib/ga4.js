@@ -0,0 +1,161 @@
+/**
+ * GA4 Measurement Protocol
+ *
+ * Optional second output for clients whose Google Ads campaigns optimize
+ * on conversions imported from GA4 rather than on native Google Ads
+ * actions - the sync function's format=ga4 and the scheduled export.
+ * Each valued call goes to GA4 as one event:
+ *
+ *   const { sent, failed, skipped, fallbackClientIds, results } = await sendGa4Events(rows, client.ga4);
+ *
+ *   { name: <eventName>, params: { value, currency, tier, product } }
+ *
+ * The event is sent under the GA client ID from the _ga cookie CallRail
+ * captured for the call (its "ga" field), so GA4 ties it to the visitor's
+ * session and ad click. Calls without one get a stable made-up client ID -
+ * the event still counts, but GA4 can't attribute it to a session or an
+ * ad click, so it's no use to a Google Ads import. fallbackClientIds
+ * counts those events in every summary; "skipWithoutClientId": true
+ * leaves them out instead (status 'skipped', never marked as sent).
+ * GA4 only backdates events up to 72 hours; older calls are sent without
+ * a timestamp and land on the day they were sent.
+ *
+ * Configured per client in the registry (netlify/lib/clients.js):
+ *
+ *   "ga4": { "measurementId": "G-ABC123", "apiSecretEnv": "GA4_API_SECRET_PHONE_LEAD",
+ *            "eventName": "qualified_call", "skipWithoutClientId": true }
+ *
+ * The API secret (GA4 Admin → Data streams → Measurement Protocol API
+ * secrets) lives in the env var apiSecretEnv names, GA4_API_SECRET by
+ * default. The default client falls back to GA4_MEASUREMENT_ID.
+ * eventName defaults to GA4_EVENT_NAME, then "phone_conversion".
+ * GA4_MP_URL points the events at a local stand-in for testing.
+ *
+ * The Measurement Protocol answers 2xx even for events it drops as
+ * malformed; check them once against /debug/mp/collect when setting up.
+ */
+
+const crypto = require('crypto');
+
+const CONFIG = {
+  // Overridable so a local mock server can stand in for Google
+  url: process.env.GA4_MP_URL || 'https://www.google-analytics.com/mp/collect',
+  eventName: process.env.GA4_EVENT_NAME || 'phone_conversion',
+  concurrency: 10
+};
+
+const BACKDATE_LIMIT_MS = 72 * 60 * 60 * 1000;
+
+// Event names: letters, digits and underscores, starting with a letter,
+// up to 40 characters - and none of Google's reserved prefixes
+const EVENT_NAME = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+const RESERVED_PREFIX = /^(firebase_|ga_|google_|gtag\.)/i;
+
+function validateGa4(ga4) {
+  const errors = [];
+  if (ga4.measurementId !== undefined && !/^G-[A-Z0-9]+$/i.test(ga4.measurementId)) {
+    errors.push(`measurementId "${ga4.measurementId}" should look like G-XXXXXXX`);
+  }
+  if (ga4.eventName !== undefined && (!EVENT_NAME.test(ga4.eventName) || RESERVED_PREFIX.test(ga4.eventName))) {
+    errors.push(`eventName "${ga4.eventName}" must be letters, digits and _ (starting with a letter, max 40) without a ga_, google_ or firebase_ prefix`);
+  }
+  if (ga4.skipWithoutClientId !== undefined && typeof ga4.skipWithoutClientId !== 'boolean') {
+    errors.push('skipWithoutClientId must be true or false');
+  }
+  return errors;
+}
+
+// → { gaClientId, gaClientIdSource: 'callrail' | 'call' } - a stable ID per
+// call when CallRail didn't capture the visitor's
+function ga4ClientId(row) {
+  if (row.gaClientId) return { gaClientId: row.gaClientId, gaClientIdSource: 'callrail' };
+  const hash = parseInt(crypto.createHash('sha256').update(String(row.callId)).digest('hex').slice(0, 8), 16);
+  return {
+    gaClientId: `${hash}.${Math.floor(conversionDate(row) / 1000)}`,
+    gaClientIdSource: 'call'
+  };
+}
+
+async function sendGa4Events(rows, ga4, { now = new Date() } = {}) {
+  const missing = ['measurementId', 'apiSecret'].filter(key => !ga4[key]);
+  if (missing.length) {
+    throw new Error(`GA4 not configured (missing ${missing.join(', ')}) - set the client's ga4.measurementId and GA4_API_SECRET`);
+  }
+
+  const url = new URL(CONFIG.url);
+  url.searchParams.set('measurement_id', ga4.measurementId);
+  url.searchParams.set('api_secret', ga4.apiSecret);
+
+  // One request per event - the client ID is per request
+  const results = [];
+  for (let i = 0; i < rows.length; i += CONFIG.concurrency) {
+    const chunk = rows.slice(i, i + CONFIG.concurrency);
+    results.push(...await Promise.all(chunk.map(row => sendEvent(url, row, ga4, now))));
+  }
+
+  const count = status => results.filter(r => r.status === status).length;
+  return {
+    sent: count('sent'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    // Sent (or tried) without the visitor's own client ID - unattributed in GA4
+    fallbackClientIds: results.filter(r => r.clientIdSource === 'call' && r.status !== 'skipped').length,
+    results
+  };
+}
+
+// ===== HELPERS =====
+
+async function sendEvent(url, row, ga4, now) {
+  const { gaClientId, gaClientIdSource } = row.gaClientIdSource ? row : ga4ClientId(row);
+  const at = conversionDate(row);
+  const backdated = now - at <= BACKDATE_LIMIT_MS;
+  const result = {
+    callId: row.callId,
+    clientId: gaClientId,
+    clientIdSource: gaClientIdSource,
+    value: row.conversionValue,
+    recordedAt: backdated ? 'conversion' : 'sent',
+    status: 'sent'
+  };
+
+  if (gaClientIdSource === 'call' && ga4.skipWithoutClientId) {
+    return { ...result, status: 'skipped', recordedAt: null };
+  }
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        client_id: gaClientId,
+        ...(backdated && { timestamp_micros: at.getTime() * 1000 }),
+        events: [{
+          name: ga4.eventName || CONFIG.eventName,
+          params: {
+            value: row.conversionValue,
+            currency: row.currency,
+            tier: row.tier,
+            product: row.product
+          }
+        }]
+      })
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`GA4 error: ${response.status} ${text.slice(0, 200) || response.statusText}`);
+    }
+  } catch (error) {
+    result.status = 'failed';
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+// Rows carry the conversion time as "yyyy-mm-dd hh:mm:ss+hhmm"
+function conversionDate(row) {
+  return new Date(row.conversionTime.replace(' ', 'T').replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+}
+
+module.exports = { validateGa4, ga4ClientId, sendGa4Events };
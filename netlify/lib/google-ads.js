@@ -0,0 +1,188 @@
+/**
+ * Google Ads API
+ *
+ * Optional direct upload through ConversionUploadService.UploadClickConversions,
+ * for accounts with API access - the sync function's format=upload and
+ * approved export batches.
+ *
+ *   const { uploaded, failed, results } = await uploadClickConversions(rows, client.googleAds.customerId);
+ *
+ * Needs GOOGLE_ADS_DEVELOPER_TOKEN, GOOGLE_ADS_CLIENT_ID, GOOGLE_ADS_CLIENT_SECRET
+ * and GOOGLE_ADS_REFRESH_TOKEN, plus the client's customer ID (googleAds.customerId
+ * in the registry, GOOGLE_ADS_CUSTOMER_ID for the default client).
+ * GOOGLE_ADS_LOGIN_CUSTOMER_ID is only needed when the account is accessed
+ * through a manager (MCC). GOOGLE_ADS_API_VERSION picks the API version
+ * (v23 by default) - Google sunsets each one about a year after release.
+ *
+ * The API takes at most 2000 conversions per request, so bigger uploads
+ * go in chunks and their partial failures are mapped back to the rows.
+ */
+
+const CONFIG = {
+  loginCustomerId: (process.env.GOOGLE_ADS_LOGIN_CUSTOMER_ID || '').replace(/-/g, ''),
+  developerToken: process.env.GOOGLE_ADS_DEVELOPER_TOKEN,
+  clientId: process.env.GOOGLE_ADS_CLIENT_ID,
+  clientSecret: process.env.GOOGLE_ADS_CLIENT_SECRET,
+  refreshToken: process.env.GOOGLE_ADS_REFRESH_TOKEN,
+  // Overridable so a local mock server can stand in for Google
+  apiUrl: process.env.GOOGLE_ADS_API_URL || `https://googleads.googleapis.com/${process.env.GOOGLE_ADS_API_VERSION || 'v23'}`,
+  tokenUrl: process.env.GOOGLE_OAUTH_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+  // UploadClickConversions limit
+  maxPerRequest: 2000
+};
+
+async function uploadClickConversions(conversions, customerId) {
+  const missing = ['developerToken', 'clientId', 'clientSecret', 'refreshToken']
+    .filter(key => !CONFIG[key]);
+  if (!customerId) missing.unshift('customerId');
+  if (missing.length) {
+    throw new Error(`Google Ads API not configured (missing ${missing.join(', ')}) - use format=csv instead`);
+  }
+
+  if (conversions.length === 0) {
+    return { uploaded: 0, failed: 0, results: [] };
+  }
+
+  const accessToken = await getGoogleAccessToken();
+  const actions = await fetchConversionActions(accessToken, customerId);
+
+  // Rows whose action isn't in the account fail locally, the rest go up in chunks
+  const results = conversions.map(c => ({
+    callId: c.callId,
+    clickIdType: c.clickIdType,
+    clickId: c.clickId,
+    conversionTime: c.conversionTime,
+    value: c.conversionValue,
+    status: 'uploaded'
+  }));
+  const sendable = [];
+  conversions.forEach((c, i) => {
+    if (actions[c.conversionName]) {
+      sendable.push(i);
+    } else {
+      results[i].status = 'failed';
+      results[i].error = `Conversion action "${c.conversionName}" not found in Google Ads account ${customerId}`;
+    }
+  });
+
+  for (let start = 0; start < sendable.length; start += CONFIG.maxPerRequest) {
+    const chunk = sendable.slice(start, start + CONFIG.maxPerRequest);
+    let data;
+    try {
+      data = await uploadChunk(accessToken, customerId, chunk.map(i => conversions[i]), actions);
+    } catch (error) {
+      // Earlier chunks are in - fail only this one, so they still get recorded
+      if (start === 0) throw error;
+      for (const i of chunk) Object.assign(results[i], { status: 'failed', error: error.message });
+      continue;
+    }
+
+    // Failure indexes count from the start of this request's chunk
+    const errors = parsePartialFailures(data.partialFailureError);
+    for (const index in errors) {
+      const result = results[chunk[index]];
+      result.status = 'failed';
+      result.error = errors[index];
+    }
+  }
+
+  const failed = results.filter(r => r.status === 'failed').length;
+  return { uploaded: results.length - failed, failed, results };
+}
+
+function uploadChunk(accessToken, customerId, rows, actions) {
+  return googleAdsRequest(accessToken, customerId, ':uploadClickConversions', {
+    conversions: rows.map(c => ({
+      ...(c.clickIdType && { [c.clickIdType]: c.clickId }),
+      ...(c.hashedPhone && { userIdentifiers: [{ hashedPhoneNumber: c.hashedPhone }] }),
+      conversionAction: actions[c.conversionName],
+      conversionDateTime: toApiDateTime(c.conversionTime),
+      conversionValue: c.conversionValue,
+      currencyCode: c.currency
+    })),
+    partialFailure: true
+  });
+}
+
+async function getGoogleAccessToken() {
+  const response = await fetch(CONFIG.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: CONFIG.clientId,
+      client_secret: CONFIG.clientSecret,
+      refresh_token: CONFIG.refreshToken,
+      grant_type: 'refresh_token'
+    }).toString()
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.access_token) {
+    throw new Error(`Google OAuth error: ${response.status} ${data.error_description || data.error || response.statusText}`);
+  }
+
+  return data.access_token;
+}
+
+// Map conversion action names → resource names so rows can keep using conversionName
+async function fetchConversionActions(accessToken, customerId) {
+  const data = await googleAdsRequest(accessToken, customerId, '/googleAds:search', {
+    query: "SELECT conversion_action.resource_name, conversion_action.name FROM conversion_action WHERE conversion_action.status = 'ENABLED'"
+  });
+
+  const actions = {};
+  for (const row of data.results || []) {
+    actions[row.conversionAction.name] = row.conversionAction.resourceName;
+  }
+  return actions;
+}
+
+async function googleAdsRequest(accessToken, customerId, path, body) {
+  const headers = {
+    'Authorization': `Bearer ${accessToken}`,
+    'developer-token': CONFIG.developerToken,
+    'Content-Type': 'application/json'
+  };
+  if (CONFIG.loginCustomerId) {
+    headers['login-customer-id'] = CONFIG.loginCustomerId;
+  }
+
+  const response = await fetch(`${CONFIG.apiUrl}/customers/${customerId}${path}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = data.error?.message || response.statusText;
+    throw new Error(`Google Ads API error: ${response.status} ${message}`);
+  }
+
+  return data;
+}
+
+// partialFailureError.details[].errors[] point back at rows via
+// location.fieldPathElements → { fieldName: 'conversions', index: N }
+function parsePartialFailures(partialFailureError) {
+  const errors = {};
+  if (!partialFailureError) return errors;
+
+  for (const detail of partialFailureError.details || []) {
+    for (const err of detail.errors || []) {
+      const element = (err.location?.fieldPathElements || []).find(e => e.fieldName === 'conversions');
+      if (!element) continue;
+      const index = element.index || 0;
+      errors[index] = errors[index] ? `${errors[index]}; ${err.message}` : err.message;
+    }
+  }
+
+  return errors;
+}
+
+// API wants "yyyy-mm-dd hh:mm:ss+hh:mm", the CSV uses "+hhmm"
+function toApiDateTime(conversionTime) {
+  return conversionTime.replace(/([+-]\d{2})(\d{2})$/, '$1:$2');
+}
+
+module.exports = { uploadClickConversions };
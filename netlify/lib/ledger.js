@@ -0,0 +1,347 @@
+/**
+ * Export Ledger
+ *
+ * Remembers every conversion that has left this tool (CSV download or
+ * API upload) so overlapping windows don't send the same click + call
+ * to Google Ads twice. One entry per CallRail call ID + click ID
+ * (GCLID, WBRAID, GBRAID, or none for phone-only enhanced conversions),
+ * plus one per secondary conversion action the call was exported under:
+ *
+ *   {
+ *     callId, clickIdType, clickId, conversionName, conversionTime,
+ *     value,          // value Google Ads was given
+ *     exportedAt,     // first export (ISO)
+ *     via,            // 'csv' | 'upload' | 'scheduled' | 'feed' | 'ga4'
+ *     pricingVersion, // pricing config version that produced the value
+ *     adjustments,    // [{ type, from, to, at }] once restated/retracted
+ *     retractedAt,
+ *     secondary,      // true for additional-action rows (conversion-actions.js)
+ *     batchId,        // approved export batch it went out in (batches.js)
+ *     valueOverride,  // true when a reviewer set the value by hand
+ *     campaign, source,
+ *     target,         // 'ga4' for GA4 Measurement Protocol events, unset for Google Ads
+ *     gaClientId,     // GA4 client ID the event was sent under
+ *     failure,        // { category, error, fixable, importId, at } - Google Ads
+ *                     // refused the row (imported upload results, upload-results.js)
+ *     failures,       // earlier failures of a row that was exported again
+ *     movedFrom       // [{ conversionName, conversionTime, value, exportedAt, retractedAt }]
+ *                     // actions the call was exported under before its main action changed
+ *   }
+ *
+ * Entries are written once - re-exporting a row Google already has
+ * doesn't change what Google counted, so the first value sticks.
+ * Only an exported adjustment (RESTATEMENT / RETRACTION) moves the
+ * stored value, which keeps it in step with what Google Ads holds.
+ * Hand-set values are never restated, only retracted.
+ * CallRail call IDs are unique across accounts, so one ledger serves
+ * every client.
+ *
+ * A row Google Ads refused never gets adjustments. When the reason was
+ * fixable it no longer counts as exported, so the next onlyNew export
+ * sends it again.
+ *
+ * The main row's key doesn't include its action, so a call whose main
+ * action changes after export (a tier upgrade to "Sale", say) keeps its
+ * entry - but no longer counts as exported, so it goes out again under
+ * the new action. The old action lands in movedFrom and gets a
+ * RETRACTION with the next adjustments, so Google Ads doesn't count the
+ * call under both.
+ *
+ * GA4 events (netlify/lib/ga4.js) share the store under their own keys,
+ * ga4:<callId> - one event per call, so a call sent to Google Ads can
+ * still go to GA4 once, and the other way round.
+ *
+ * recordExports also indexes Google Ads rows by click ID in the
+ * 'export-ledger-clicks' store (<clickId>/<ledgerKey> → { key }), so an
+ * upload results import reads only the rows it names. The first import
+ * after the index was introduced builds it from the whole ledger, once.
+ *
+ * The scheduled export has several delivery targets, and a row only
+ * counts as exported once every one of them has it. Until then the
+ * targets that took it are kept in 'export-ledger-deliveries'
+ * (<target>/<ledgerKey> → { deliveredAt }), so the next run retries only
+ * the targets that failed.
+ */
+
+const { openStore } = require('./store');
+
+const STORE_NAME = 'export-ledger';
+const CLICK_INDEX_STORE = 'export-ledger-clicks';
+const CLICK_INDEX_BUILT = '_built';
+const DELIVERIES_STORE = 'export-ledger-deliveries';
+
+function ledgerKey(conversion, target) {
+  if (target === 'ga4') return `ga4:${conversion.callId}`;
+  // Enhanced-conversion rows without a click ID are keyed on the call alone.
+  // The main row keeps the original key whatever its action is called.
+  const key = `${conversion.callId}:${conversion.clickId || 'phone'}`;
+  return conversion.secondary ? `${key}:${conversion.conversionName}` : key;
+}
+
+// Returns { [ledgerKey]: entry } for the conversions that were already
+// exported - rows that failed for a fixable reason, or whose main action
+// has changed since, are due again
+async function lookupExports(conversions, target) {
+  const entries = await readEntries(conversions.map(c => ledgerKey(c, target)));
+  for (const c of conversions) {
+    const key = ledgerKey(c, target);
+    if (entries[key] && isDue(entries[key], c, target)) delete entries[key];
+  }
+  return entries;
+}
+
+function isDue(entry, conversion, target) {
+  return !!entry.failure?.fixable || actionChanged(entry, conversion, target);
+}
+
+// Secondary rows carry their action in the key; GA4 has no actions, and
+// $0 rows (retractions) don't name one
+function actionChanged(entry, conversion, target) {
+  return target !== 'ga4' && !conversion.secondary && !!entry.conversionName &&
+    !!conversion.conversionName && entry.conversionName !== conversion.conversionName;
+}
+
+async function readEntries(keys) {
+  const store = openStore(STORE_NAME);
+  const unique = [...new Set(keys)];
+  const entries = await Promise.all(unique.map(key => store.get(key)));
+
+  const found = {};
+  unique.forEach((key, i) => {
+    if (entries[i]) found[key] = entries[i];
+  });
+  return found;
+}
+
+async function recordExports(conversions, via, target) {
+  const store = openStore(STORE_NAME);
+  const key = c => ledgerKey(c, target);
+  const existing = await readEntries(conversions.map(key));
+  const exportedAt = new Date().toISOString();
+
+  // A re-export after a fixable failure or an action change starts a
+  // fresh entry, keeping the history
+  const due = c => !existing[key(c)] || isDue(existing[key(c)], c, target);
+  const fresh = conversions.filter(due);
+  await Promise.all(fresh.map(c => store.set(key(c), {
+    callId: c.callId,
+    clickIdType: c.clickIdType,
+    clickId: c.clickId,
+    conversionName: c.conversionName,
+    conversionTime: c.conversionTime,
+    value: c.conversionValue,
+    exportedAt,
+    via,
+    pricingVersion: c.pricingVersion,
+    campaign: c.campaign || '',
+    source: c.source || '',
+    ...(target && { target, gaClientId: c.gaClientId }),
+    ...(c.secondary && { secondary: true }),
+    ...(c.batchId && { batchId: c.batchId }),
+    ...(c.valueOverride && { valueOverride: true }),
+    ...(existing[key(c)] && history(existing[key(c)], c, target))
+  })));
+
+  if (target !== 'ga4') {
+    const index = openStore(CLICK_INDEX_STORE);
+    await Promise.all(fresh.filter(c => c.clickId).map(c => index.set(`${c.clickId}/${key(c)}`, { key: key(c) })));
+  }
+
+  return fresh.length;
+}
+
+// What a fresh entry keeps of the one it replaces
+function history(entry, conversion, target) {
+  const kept = {};
+  if (entry.failures || entry.failure) {
+    kept.failures = [...(entry.failures || []), ...(entry.failure ? [entry.failure] : [])];
+  }
+  if (entry.movedFrom) kept.movedFrom = entry.movedFrom;
+  // Only an action Google Ads holds a live conversion under needs retracting
+  if (actionChanged(entry, conversion, target) && !entry.failure && !entry.retractedAt) {
+    kept.movedFrom = [...(entry.movedFrom || []), {
+      conversionName: entry.conversionName,
+      conversionTime: entry.conversionTime,
+      value: entry.value,
+      exportedAt: entry.exportedAt
+    }];
+  }
+  return kept;
+}
+
+// ===== PARTIAL DELIVERIES =====
+
+// → { [target]: Set of ledger keys that target already has }
+async function lookupDeliveries(conversions, targets) {
+  const store = openStore(DELIVERIES_STORE);
+  const keys = [...new Set(conversions.map(c => ledgerKey(c)))];
+  const delivered = {};
+  for (const target of targets) {
+    const found = await Promise.all(keys.map(key => store.get(`${target}/${key}`)));
+    delivered[target] = new Set(keys.filter((key, i) => found[i]));
+  }
+  return delivered;
+}
+
+async function recordDeliveries(conversions, target) {
+  const store = openStore(DELIVERIES_STORE);
+  const deliveredAt = new Date().toISOString();
+  await Promise.all(conversions.map(c => store.set(`${target}/${ledgerKey(c)}`, { deliveredAt })));
+}
+
+// Once the ledger has the rows, the per-target marks have done their job
+async function clearDeliveries(conversions, targets) {
+  const store = openStore(DELIVERIES_STORE);
+  await Promise.all(targets.flatMap(target => conversions.map(c => store.delete(`${target}/${ledgerKey(c)}`))));
+}
+
+// ===== UPLOAD RESULTS =====
+
+// → { [clickId]: [{ key, entry }] } for every exported row on those clicks
+async function findByClickIds(clickIds) {
+  const index = openStore(CLICK_INDEX_STORE);
+  await buildClickIndex(index);
+
+  const unique = [...new Set(clickIds)];
+  const indexed = await Promise.all(unique.map(clickId => index.list(`${clickId}/`)));
+  const keys = indexed.flatMap((names, i) => names.map(name => name.slice(unique[i].length + 1)));
+  const entries = await readEntries(keys);
+
+  const found = {};
+  for (const key of keys) {
+    const entry = entries[key];
+    if (!entry) continue;
+    const clickId = 'clickIdType' in entry ? entry.clickId : entry.gclid;
+    (found[clickId] = found[clickId] || []).push({ key, entry });
+  }
+  return found;
+}
+
+// Indexes rows exported before recordExports kept the index - one full
+// read of the ledger, the first time it's needed
+async function buildClickIndex(index) {
+  if (await index.get(CLICK_INDEX_BUILT)) return;
+
+  const store = openStore(STORE_NAME);
+  const keys = (await store.list('')).filter(key => !key.startsWith('ga4:'));
+  const entries = await readEntries(keys);
+  await Promise.all(Object.entries(entries).map(([key, entry]) => {
+    const clickId = 'clickIdType' in entry ? entry.clickId : entry.gclid;
+    return clickId ? index.set(`${clickId}/${key}`, { key }) : null;
+  }));
+
+  await index.set(CLICK_INDEX_BUILT, { at: new Date().toISOString(), rows: keys.length });
+}
+
+// failures: [{ key, category, error, fixable, importId }]; accepted: [keys]
+// that an earlier import had marked failed
+async function recordUploadResults(failures, accepted = []) {
+  const store = openStore(STORE_NAME);
+  const at = new Date().toISOString();
+  const entries = await readEntries([...failures.map(f => f.key), ...accepted]);
+
+  await Promise.all([
+    ...failures.filter(f => entries[f.key]).map(({ key, ...failure }) =>
+      store.set(key, { ...entries[key], failure: { ...failure, at } })),
+    ...accepted.filter(key => entries[key]?.failure).map(key => {
+      const { failure, ...entry } = entries[key];
+      return store.set(key, { ...entry, failures: [...(entry.failures || []), failure] });
+    })
+  ]);
+}
+
+// ===== ADJUSTMENTS =====
+
+// Compare freshly computed values (zero for calls that no longer qualify)
+// with what the ledger says Google Ads was given
+function findAdjustments(rows, exported) {
+  const adjustments = [];
+
+  for (const row of rows) {
+    const entry = exported[ledgerKey(row)];
+    if (!entry) continue;
+    // Adjustments are matched on GCLID + conversion time; WBRAID/GBRAID
+    // conversions can't be restated this way. Entries written before
+    // WBRAID/GBRAID support only carry `gclid`.
+    const clickId = 'clickIdType' in entry ? entry.clickId : entry.gclid;
+    const clickIdType = 'clickIdType' in entry ? entry.clickIdType : 'gclid';
+    if (clickIdType !== 'gclid') continue;
+
+    // The call's conversion under an action it has since moved off
+    for (const moved of (entry.movedFrom || []).filter(m => !m.retractedAt)) {
+      adjustments.push({
+        callId: entry.callId,
+        clickId,
+        gclid: clickId,
+        conversionName: moved.conversionName,
+        conversionTime: moved.conversionTime,
+        secondary: false,
+        moved: true,
+        adjustmentType: 'RETRACTION',
+        previousValue: moved.value,
+        adjustedValue: 0,
+        currency: row.currency
+      });
+    }
+
+    // Google Ads never took a row that failed, so there is nothing to adjust
+    if (entry.retractedAt || entry.failure) continue;
+    if (!row.retract && Math.abs(entry.value - row.conversionValue) < 0.01) continue;
+    if (entry.valueOverride && row.conversionValue > 0) continue;
+
+    adjustments.push({
+      callId: entry.callId,
+      clickId,
+      gclid: clickId,
+      // Adjustments must reference the conversion exactly as it was uploaded
+      conversionName: entry.conversionName,
+      conversionTime: entry.conversionTime,
+      secondary: !!entry.secondary,
+      adjustmentType: row.conversionValue > 0 ? 'RESTATEMENT' : 'RETRACTION',
+      previousValue: entry.value,
+      adjustedValue: row.conversionValue,
+      currency: row.currency
+    });
+  }
+
+  return adjustments;
+}
+
+async function recordAdjustments(adjustments) {
+  const store = openStore(STORE_NAME);
+  const at = new Date().toISOString();
+
+  await Promise.all(adjustments.map(async a => {
+    const key = ledgerKey(a);
+    const entry = await store.get(key);
+    if (!entry) return;
+
+    if (a.moved) {
+      entry.movedFrom = (entry.movedFrom || []).map(m =>
+        m.conversionName === a.conversionName && !m.retractedAt ? { ...m, retractedAt: at } : m);
+      return store.set(key, entry);
+    }
+
+    entry.adjustments = [
+      ...(entry.adjustments || []),
+      { type: a.adjustmentType, from: a.previousValue, to: a.adjustedValue, at }
+    ];
+    entry.value = a.adjustedValue;
+    if (a.adjustmentType === 'RETRACTION') entry.retractedAt = at;
+
+    await store.set(key, entry);
+  }));
+}
+
+module.exports = {
+  ledgerKey,
+  lookupExports,
+  recordExports,
+  findAdjustments,
+  recordAdjustments,
+  findByClickIds,
+  recordUploadResults,
+  lookupDeliveries,
+  recordDeliveries,
+  clearDeliveries
+};
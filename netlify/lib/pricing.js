@@ -0,0 +1,196 @@
+/**
+ * Pricing & Tier Configuration
+ *
+ * HP → price table, tier multipliers and lead-score thresholds, kept out
+ * of the code so a price change doesn't need a deploy. Each client
+ * (netlify/lib/clients.js) has its own. Sources, first match wins:
+ *
+ *   1. Latest version saved from the dashboard (store "pricing")
+ *   2. PRICING_FILE env var - path to a JSON file (local dev, default client only)
+ *   3. The client's "pricing" in the client registry
+ *   4. config/pricing.json bundled with the function
+ *
+ * Shape:
+ *   {
+ *     version: 3,                        // bumped on every save
+ *     products:   { '10': 1995, ..., default: 3500 },
+ *     tiers:      { very_poor: 0, poor: 0.25, fair: 0.5, good: 0.75, very_good: 1 },
+ *     thresholds: { very_good: 80, good: 60, fair: 40, poor: 20 },
+ *     updatedAt, updatedBy
+ *   }
+ *
+ * Every version is kept under versions/<n> so exports recorded in the
+ * ledger can be traced back to the prices that produced them - including
+ * sources 2-4, which get a version of their own the first time they're
+ * used (and a new one when the file or registry changes; "seeded" holds
+ * which). A version number is claimed with store.create, so two saves at
+ * once get different numbers instead of one overwriting the other. The
+ * default client's keys are unprefixed (as saved before clients
+ * existed); other clients live under clients/<id>/.
+ */
+
+const fs = require('fs');
+const { openStore } = require('./store');
+const bundledPricing = require('../../config/pricing.json');
+
+const STORE_NAME = 'pricing';
+const TIER_NAMES = ['very_poor', 'poor', 'fair', 'good', 'very_good'];
+const THRESHOLD_NAMES = ['very_good', 'good', 'fair', 'poor'];
+
+function pricingKey(client, key) {
+  return client.isDefault ? key : `clients/${client.id}/${key}`;
+}
+
+async function loadPricing(client) {
+  const saved = await openStore(STORE_NAME).get(pricingKey(client, 'current'));
+  if (saved) return saved;
+
+  if (client.isDefault && process.env.PRICING_FILE) {
+    const pricing = JSON.parse(fs.readFileSync(process.env.PRICING_FILE, 'utf8'));
+    assertValid(pricing, process.env.PRICING_FILE);
+    return seededVersion(client, pricing, process.env.PRICING_FILE);
+  }
+
+  if (client.pricing) {
+    assertValid(client.pricing, `client registry (${client.id})`);
+    return seededVersion(client, client.pricing, `client registry (${client.id})`);
+  }
+
+  return seededVersion(client, bundledPricing, 'config/pricing.json');
+}
+
+// Returns a list of human-readable problems, empty when valid
+function validatePricing(pricing) {
+  const errors = [];
+  if (!pricing || typeof pricing !== 'object') {
+    return ['Pricing must be an object'];
+  }
+
+  const { products, tiers, thresholds } = pricing;
+
+  if (!products || typeof products !== 'object') {
+    errors.push('products must be an object of HP → price');
+  } else {
+    if (!('default' in products)) errors.push('products.default is required');
+    for (const [hp, price] of Object.entries(products)) {
+      if (hp !== 'default' && !/^\d+$/.test(hp)) {
+        errors.push(`products.${hp}: key must be a whole-number HP or "default"`);
+      }
+      if (typeof price !== 'number' || !(price > 0)) {
+        errors.push(`products.${hp}: price must be a positive number`);
+      }
+    }
+  }
+
+  if (!tiers || typeof tiers !== 'object') {
+    errors.push('tiers must be an object of tier → multiplier');
+  } else {
+    for (const tier of TIER_NAMES) {
+      const multiplier = tiers[tier];
+      if (typeof multiplier !== 'number' || multiplier < 0 || multiplier > 1) {
+        errors.push(`tiers.${tier}: multiplier must be a number from 0 to 1`);
+      }
+    }
+    for (const tier of Object.keys(tiers)) {
+      if (!TIER_NAMES.includes(tier)) errors.push(`tiers.${tier}: unknown tier`);
+    }
+  }
+
+  if (!thresholds || typeof thresholds !== 'object') {
+    errors.push('thresholds must be an object of tier → minimum lead score %');
+  } else {
+    let previous = 101;
+    for (const tier of THRESHOLD_NAMES) {
+      const min = thresholds[tier];
+      if (typeof min !== 'number' || min < 0 || min > 100) {
+        errors.push(`thresholds.${tier}: must be a number from 0 to 100`);
+      } else if (min >= previous) {
+        errors.push(`thresholds.${tier}: must be lower than the tier above it`);
+      } else {
+        previous = min;
+      }
+    }
+  }
+
+  return errors;
+}
+
+function assertValid(pricing, source) {
+  const errors = validatePricing(pricing);
+  if (errors.length) {
+    throw new Error(`Invalid pricing in ${source}: ${errors.join('; ')}`);
+  }
+}
+
+async function savePricing(client, pricing, updatedBy) {
+  assertValid(pricing, 'update');
+
+  // Before the first save this stores the price list in use as a version,
+  // so the save can't take the number earlier exports were given
+  await loadPricing(client);
+  const saved = await claimVersion(client, pricing, updatedBy || 'unknown');
+  await openStore(STORE_NAME).set(pricingKey(client, 'current'), saved);
+  return saved;
+}
+
+async function getPricingVersion(client, version) {
+  return openStore(STORE_NAME).get(pricingKey(client, `versions/${version}`));
+}
+
+async function listPricingVersions(client) {
+  const store = openStore(STORE_NAME);
+  const keys = await store.list(pricingKey(client, 'versions/'));
+  const versions = await Promise.all(keys.map(key => store.get(key)));
+
+  return versions
+    .filter(Boolean)
+    .map(v => ({ version: v.version, updatedAt: v.updatedAt, updatedBy: v.updatedBy }))
+    .sort((a, b) => b.version - a.version);
+}
+
+// ===== HELPERS =====
+
+// Stores pricing under the next free versions/<n>; a number another save
+// took first is skipped, never overwritten
+async function claimVersion(client, pricing, updatedBy) {
+  const store = openStore(STORE_NAME);
+  const taken = (await store.list(pricingKey(client, 'versions/')))
+    .map(key => parseInt(key.split('/').pop()))
+    .filter(n => n > 0);
+  const entry = {
+    products: pricing.products,
+    tiers: pricing.tiers,
+    thresholds: pricing.thresholds,
+    updatedAt: new Date().toISOString(),
+    updatedBy
+  };
+
+  for (let version = Math.max(0, ...taken) + 1; ; version++) {
+    const saved = { version, ...entry };
+    if (await store.create(pricingKey(client, `versions/${version}`), saved)) return saved;
+  }
+}
+
+// Pricing nobody saved (file, registry, bundled) → the version it was
+// stored under, claiming one the first time these exact prices are used
+async function seededVersion(client, pricing, source) {
+  const store = openStore(STORE_NAME);
+  const fingerprint = JSON.stringify([pricing.products, pricing.tiers, pricing.thresholds]);
+  const seeded = await store.get(pricingKey(client, 'seeded'));
+  if (seeded?.fingerprint === fingerprint) {
+    return { ...pricing, version: seeded.version };
+  }
+
+  const { version } = await claimVersion(client, pricing, source);
+  await store.set(pricingKey(client, 'seeded'), { version, fingerprint });
+  return { ...pricing, version };
+}
+
+module.exports = {
+  loadPricing,
+  validatePricing,
+  savePricing,
+  getPricingVersion,
+  listPricingVersions,
+  TIER_NAMES
+};
@@ -0,0 +1,173 @@
+/**
+ * Product Detection Rules
+ *
+ * Works out which product (price-list HP key) a call was about and
+ * records why, so misdetections can be audited from the dashboard.
+ *
+ *   detectProduct(call, products)
+ *     → { product: '15', rule: 'number_words', source: 'transcription',
+ *         evidence: '...looking for a fifteen horse motor...' }
+ *
+ * Rules run in config order; the first one that lands on a product in the
+ * price list wins. Built in:
+ *
+ *   tag           CallRail tag name → product      ("tags": { "Sold 15HP": "15" })
+ *   sku           model / SKU alias in text → product ("skuAliases": { "DF15A": "15" })
+ *   hp            "15 hp", "15hp", "15 horse", "15 horsepower"
+ *   number_words  "fifteen horse", "twenty-five hp"
+ *   landing_page  regex on the landing page URL    ("landingPages": [{ "pattern": "/outboards/15", "product": "15" }])
+ *
+ * Mappings live in config/product-rules.json (PRODUCT_RULES_FILE to
+ * override locally). A new rule is one more entry in RULES taking
+ * (call, ctx) and returning a match or null.
+ */
+
+const fs = require('fs');
+const bundledRules = require('../../config/product-rules.json');
+const { tagNames } = require('./call-fields');
+
+let rulesConfig = null;
+
+function getRulesConfig() {
+  if (!rulesConfig) {
+    rulesConfig = process.env.PRODUCT_RULES_FILE
+      ? JSON.parse(fs.readFileSync(process.env.PRODUCT_RULES_FILE, 'utf8'))
+      : bundledRules;
+  }
+  return rulesConfig;
+}
+
+// ===== RULES =====
+
+const RULES = {
+  tag(call, ctx) {
+    const mapping = lowerKeys(ctx.config.tags);
+    for (const name of tagNames(call)) {
+      const product = mapping[name.toLowerCase()];
+      if (product) return { product, source: 'tags', evidence: name };
+    }
+    return null;
+  },
+
+  sku(call, ctx) {
+    for (const [alias, product] of Object.entries(ctx.config.skuAliases || {})) {
+      const pattern = new RegExp(`\\b${escapeRegExp(alias)}\\b`, 'i');
+      for (const { source, text } of textFields(call)) {
+        const match = text.match(pattern);
+        if (match) return { product, source, evidence: snippet(text, match) };
+      }
+    }
+    return null;
+  },
+
+  hp(call, ctx) {
+    const pattern = /(\d+)\s*(?:hp\b|horse\s*power|horse\b)/gi;
+    return firstPricedMatch(call, ctx, pattern, match => match[1]);
+  },
+
+  number_words(call, ctx) {
+    const word = `(?:${Object.keys(NUMBER_WORDS).join('|')})`;
+    const pattern = new RegExp(`\\b(${word}(?:[\\s-]+${word})*)\\s*(?:hp\\b|horse\\s*power|horse\\b)`, 'gi');
+    return firstPricedMatch(call, ctx, pattern, match => wordsToNumber(match[1]));
+  },
+
+  landing_page(call, ctx) {
+    if (!call.landing_page_url) return null;
+    for (const { pattern, product } of ctx.config.landingPages || []) {
+      const match = call.landing_page_url.match(new RegExp(pattern, 'i'));
+      if (match) return { product, source: 'landing_page_url', evidence: call.landing_page_url };
+    }
+    return null;
+  }
+};
+
+function detectProduct(call, products) {
+  const config = getRulesConfig();
+  const ctx = { config, products, misses: [] };
+
+  for (const name of config.order || Object.keys(RULES)) {
+    const rule = RULES[name];
+    if (!rule) throw new Error(`Unknown product rule "${name}" in product rules config`);
+
+    const match = rule(call, ctx);
+    if (!match) continue;
+    if (products[match.product]) return { ...match, rule: name };
+
+    ctx.misses.push(`${name} matched ${match.product} HP ("${match.evidence}") but it isn't in the price list`);
+  }
+
+  return {
+    product: 'default',
+    rule: 'fallback',
+    source: null,
+    evidence: ctx.misses.length ? ctx.misses.join('; ') : 'No product mentioned'
+  };
+}
+
+// ===== HELPERS =====
+
+// Scans every text field for the pattern and returns the first hit whose
+// HP is priced; unpriced hits are remembered for the fallback evidence.
+function firstPricedMatch(call, ctx, pattern, toProduct) {
+  let unpriced = null;
+
+  for (const { source, text } of textFields(call)) {
+    for (const match of text.matchAll(pattern)) {
+      const product = toProduct(match);
+      if (!product) continue;
+      const found = { product: String(product), source, evidence: snippet(text, match) };
+      if (ctx.products[found.product]) return found;
+      unpriced = unpriced || found;
+    }
+  }
+
+  return unpriced;
+}
+
+function textFields(call) {
+  return [
+    { source: 'transcription', text: call.transcription?.text || (typeof call.transcription === 'string' ? call.transcription : '') },
+    { source: 'note', text: call.note || '' },
+    { source: 'tags', text: tagNames(call).join(', ') }
+  ].filter(f => f.text);
+}
+
+function snippet(text, match) {
+  const start = Math.max(0, match.index - 30);
+  const end = Math.min(text.length, match.index + match[0].length + 30);
+  return (start > 0 ? '...' : '') + text.slice(start, end).trim() + (end < text.length ? '...' : '');
+}
+
+function lowerKeys(obj = {}) {
+  const out = {};
+  for (const [key, value] of Object.entries(obj)) out[key.toLowerCase()] = value;
+  return out;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70,
+  eighty: 80, ninety: 90, hundred: 100
+};
+
+// "twenty-five" → 25, "one hundred" → 100
+function wordsToNumber(words) {
+  let total = 0;
+  for (const word of words.toLowerCase().split(/[\s-]+/)) {
+    const value = NUMBER_WORDS[word];
+    if (value === 100) {
+      total = (total || 1) * 100;
+    } else {
+      total += value;
+    }
+  }
+  return total || null;
+}
+
+module.exports = { detectProduct, RULES };
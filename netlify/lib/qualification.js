@@ -0,0 +1,66 @@
+/**
+ * Call Qualification
+ *
+ * Rules a call must pass before it is valued at all, so hang-ups,
+ * voicemails, spam and calls to numbers we don't advertise on never
+ * reach Google Ads. Set per client in the registry
+ * (netlify/lib/clients.js); every rule is off unless given:
+ *
+ *   "qualification": {
+ *     "minDuration": 30,                    seconds
+ *     "answeredOnly": true,                 drop missed calls
+ *     "excludeVoicemail": true,             drop calls that went to voicemail
+ *     "spamTags": ["Spam", "Wrong Number"], drop calls with any of these tags
+ *     "trackingNumbers": ["+15205550100"],  only calls to these tracking numbers
+ *     "firstTimeOnly": true                 only a caller's first call to the account
+ *   }
+ *
+ * Rules run in that order and a call is counted against the first one
+ * it fails.
+ */
+
+const { tagNames, includesIgnoreCase } = require('./call-fields');
+
+const RULES = {
+  minDuration: (call, rules) => (call.duration || 0) >= rules.minDuration,
+  answeredOnly: (call, rules) => !rules.answeredOnly || call.answered !== false,
+  excludeVoicemail: (call, rules) => !rules.excludeVoicemail || !call.voicemail,
+  spamTags: (call, rules) => !tagNames(call).some(name => includesIgnoreCase(rules.spamTags, name)),
+  trackingNumbers: (call, rules) => rules.trackingNumbers.map(lastTenDigits).includes(lastTenDigits(call.tracking_phone_number)),
+  firstTimeOnly: (call, rules) => !rules.firstTimeOnly || call.first_call !== false
+};
+
+// → name of the first rule the call fails, or null when it qualifies
+function qualifyCall(call, rules = {}) {
+  for (const name of Object.keys(RULES)) {
+    if (name in rules && !RULES[name](call, rules)) return name;
+  }
+  return null;
+}
+
+function validateQualification(rules) {
+  if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+    return ['qualification must be an object of rules'];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(rules)) {
+    if (!RULES[key]) errors.push(`unknown rule "${key}" - use ${Object.keys(RULES).join(', ')}`);
+  }
+  if ('minDuration' in rules && !(rules.minDuration >= 0)) {
+    errors.push('minDuration must be a number of seconds');
+  }
+  for (const key of ['answeredOnly', 'excludeVoicemail', 'firstTimeOnly']) {
+    if (key in rules && typeof rules[key] !== 'boolean') errors.push(`${key} must be true or false`);
+  }
+  for (const key of ['spamTags', 'trackingNumbers']) {
+    if (key in rules && !Array.isArray(rules[key])) errors.push(`${key} must be an array`);
+  }
+  return errors;
+}
+
+function lastTenDigits(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+module.exports = { RULES, qualifyCall, validateQualification };
@@ -0,0 +1,149 @@
+/**
+ * Conversion Reporting
+ *
+ * Aggregates a window's conversion rows - and the calls behind them - so
+ * campaigns can be judged on the sales calls they produce rather than
+ * on click IDs:
+ *
+ *   const report = buildReport(
+ *     { calls, conversions, startDate, endDate },      // this period
+ *     { calls, conversions, startDate, endDate },      // the one before it
+ *     { timeZone, comparable }
+ *   );
+ *
+ * Every group carries { calls, conversions, sales, value } for both
+ * periods: calls counts every call (campaign, source and time series
+ * only), conversions the valued rows, sales the very_good ones. Only
+ * main rows count - secondary conversion actions would count a call
+ * twice. Days and weeks (Monday first) are in the client's time zone,
+ * and the previous period's series lines up with this one's by position.
+ * comparable: false (either period cut short) leaves every change null.
+ */
+
+const { formatGoogleAdsTime } = require('./conversions');
+const { addDays } = require('./callrail');
+
+const DIMENSIONS = {
+  campaign: row => row.campaign || 'Direct',
+  source: row => row.source || 'Unknown',
+  tier: row => row.tier,
+  product: row => row.product
+};
+
+// Calls have no tier or product until they are valued
+const CALL_DIMENSIONS = ['campaign', 'source'];
+
+function buildReport(current, previous, { timeZone, comparable = true }) {
+  const now = summarizePeriod(current, timeZone);
+  const before = summarizePeriod(previous, timeZone);
+
+  const breakdowns = {};
+  for (const dimension of Object.keys(DIMENSIONS)) {
+    const keys = new Set([...now.groups[dimension].keys(), ...before.groups[dimension].keys()]);
+    breakdowns[dimension] = [...keys]
+      .map(key => compare(key, now.groups[dimension].get(key), before.groups[dimension].get(key), {
+        comparable,
+        withCalls: CALL_DIMENSIONS.includes(dimension)
+      }))
+      .sort((a, b) => b.current.value - a.current.value || b.current.conversions - a.current.conversions);
+  }
+
+  return {
+    totals: compare('total', now.totals, before.totals, { comparable }),
+    breakdowns,
+    series: {
+      day: alignSeries(days(current, timeZone), days(previous, timeZone), now.days, before.days),
+      week: alignSeries(weeks(current, timeZone), weeks(previous, timeZone), now.weeks, before.weeks)
+    }
+  };
+}
+
+function summarizePeriod({ calls, conversions }, timeZone) {
+  const totals = emptyMetrics();
+  const groups = Object.fromEntries(Object.keys(DIMENSIONS).map(dimension => [dimension, new Map()]));
+  const dayTotals = new Map();
+  const weekTotals = new Map();
+  const bucket = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyMetrics());
+    return map.get(key);
+  };
+
+  for (const call of calls) {
+    const day = formatGoogleAdsTime(call.start_time, timeZone).slice(0, 10);
+    const touched = [totals, bucket(dayTotals, day), bucket(weekTotals, weekOf(day))];
+    for (const dimension of CALL_DIMENSIONS) {
+      touched.push(bucket(groups[dimension], DIMENSIONS[dimension](call)));
+    }
+    for (const metrics of touched) metrics.calls++;
+  }
+
+  for (const row of conversions.filter(c => !c.secondary)) {
+    const day = row.conversionTime.slice(0, 10);
+    const touched = [totals, bucket(dayTotals, day), bucket(weekTotals, weekOf(day))];
+    for (const [dimension, keyOf] of Object.entries(DIMENSIONS)) {
+      touched.push(bucket(groups[dimension], keyOf(row)));
+    }
+    for (const metrics of touched) {
+      metrics.conversions++;
+      if (row.tier === 'very_good') metrics.sales++;
+      metrics.value = Math.round((metrics.value + row.conversionValue) * 100) / 100;
+    }
+  }
+
+  // Tier and product groups have no call counts
+  for (const dimension of Object.keys(DIMENSIONS).filter(d => !CALL_DIMENSIONS.includes(d))) {
+    for (const metrics of groups[dimension].values()) delete metrics.calls;
+  }
+
+  return { totals, groups, days: dayTotals, weeks: weekTotals };
+}
+
+// ===== HELPERS =====
+
+function emptyMetrics(withCalls = true) {
+  return { ...(withCalls && { calls: 0 }), conversions: 0, sales: 0, value: 0 };
+}
+
+// Groups missing from one period compare against zeros
+function compare(key, current, previous, { comparable = true, withCalls = true } = {}) {
+  current = current || emptyMetrics(withCalls);
+  previous = previous || emptyMetrics(withCalls);
+  const change = {};
+  for (const metric of ['conversions', 'value']) {
+    change[metric] = comparable && previous[metric]
+      ? Math.round((current[metric] - previous[metric]) / previous[metric] * 1000) / 10
+      : null;
+  }
+  return { key, current, previous, change };
+}
+
+// Position i of this period against position i of the previous one
+function alignSeries(keys, previousKeys, totals, previousTotals) {
+  return keys.map((key, i) => ({
+    key,
+    previousKey: previousKeys[i] || null,
+    current: totals.get(key) || emptyMetrics(),
+    previous: (previousKeys[i] && previousTotals.get(previousKeys[i])) || emptyMetrics()
+  }));
+}
+
+// Every local date the period touches, oldest first
+function days({ startDate, endDate }, timeZone) {
+  const first = formatGoogleAdsTime(startDate.toISOString(), timeZone).slice(0, 10);
+  const last = formatGoogleAdsTime(new Date(endDate - 1).toISOString(), timeZone).slice(0, 10);
+  const list = [];
+  for (let day = first; day <= last; day = addDays(day, 1)) list.push(day);
+  return list;
+}
+
+function weeks(period, timeZone) {
+  return [...new Set(days(period, timeZone).map(weekOf))];
+}
+
+// The Monday starting the day's week
+function weekOf(day) {
+  const weekday = new Date(day + 'T00:00:00Z').getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+}
+
+module.exports = { DIMENSIONS, buildReport };
@@ -0,0 +1,28 @@
+/**
+ * Request Bodies
+ *
+ * Functions that take a JSON body parse it up front with
+ * parseJsonBody(event.body), before any CallRail or store work. A body
+ * that isn't JSON is the caller's mistake and comes back as a 400
+ * RequestError; any other SyntaxError (CallRail answering with an HTML
+ * page, a bad regex in config) is ours and stays a 500.
+ */
+
+class RequestError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Empty bodies read as {}
+function parseJsonBody(body) {
+  try {
+    return JSON.parse(body || '{}');
+  } catch (error) {
+    throw new RequestError(`Request body is not valid JSON: ${error.message}`);
+  }
+}
+
+module.exports = { RequestError, parseJsonBody };
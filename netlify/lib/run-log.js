@@ -0,0 +1,86 @@
+/**
+ * Export Run Log
+ *
+ * History of the exports that happen without a person clicking
+ * anything, keyed by time so the newest sort last.
+ *
+ * Scheduled export runs (scheduled-export):
+ *
+ *   runs/<startedAt ISO>_<client> → {
+ *     startedAt, finishedAt, client,
+ *     status,         // 'delivered' | 'partial' | 'failed' | 'nothing_new'
+ *     window,         // { from, to, timeZone }
+ *     calls, conversions, newConversions, alreadyExported,
+ *     totalValue,     // value of the rows delivered
+ *     pricingVersion,
+ *     truncated,      // CallRail fetch stopped early (see callrail.js)
+ *     deliveries,     // [{ target, status, rows, detail | error }] - rows the target was sent
+ *     error
+ *   }
+ *
+ * Google Ads fetches of the scheduled upload feed (gads-feed):
+ *
+ *   feed/<fetchedAt ISO> → {
+ *     fetchedAt, client, ip, userAgent,
+ *     status,         // HTTP status served (401 for bad credentials)
+ *     window, calls, rows, totalValue, pricingVersion, truncated, error
+ *   }
+ *
+ * Historical backfills (backfill-background), rewritten as they progress:
+ *
+ *   backfills/<startedAt ISO>_<client> → {
+ *     startedAt, finishedAt, client, requestedBy,
+ *     status,         // 'running' | 'complete' | 'partial' | 'failed'
+ *     requested,      // { from, to } as asked for
+ *     window,         // { from, to, timeZone } actually covered
+ *     clamped,        // from was moved up to Google's click age limit
+ *     batchId, rows, totalValue, truncated, error
+ *   }
+ */
+
+const { openStore } = require('./store');
+
+const STORE_NAME = 'export-runs';
+
+async function recordRun(run) {
+  await openStore(STORE_NAME).set(`runs/${run.startedAt}${run.client ? `_${run.client}` : ''}`, run);
+  return run;
+}
+
+async function listRuns(limit = 30) {
+  return listNewest('runs/', limit);
+}
+
+async function recordFeedFetch(entry) {
+  await openStore(STORE_NAME).set(`feed/${entry.fetchedAt}`, entry);
+  return entry;
+}
+
+async function listFeedFetches(limit = 30) {
+  return listNewest('feed/', limit);
+}
+
+async function recordBackfill(job) {
+  await openStore(STORE_NAME).set(`backfills/${job.startedAt}_${job.client}`, job);
+  return job;
+}
+
+async function listBackfills(limit = 30) {
+  return listNewest('backfills/', limit);
+}
+
+async function listNewest(prefix, limit) {
+  const store = openStore(STORE_NAME);
+  const keys = (await store.list(prefix)).sort().reverse().slice(0, limit);
+  const entries = await Promise.all(keys.map(key => store.get(key)));
+  return entries.filter(Boolean);
+}
+
+module.exports = {
+  recordRun,
+  listRuns,
+  recordFeedFetch,
+  listFeedFetches,
+  recordBackfill,
+  listBackfills
+};
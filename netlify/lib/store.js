@@ -0,0 +1,111 @@
+/**
+ * Persistent JSON storage
+ *
+ * Netlify Blobs in production, plain JSON files on disk for local dev.
+ * Every store has the same small API:
+ *
+ *   const store = openStore('export-ledger');
+ *   await store.get(key)          → parsed JSON or null
+ *   await store.set(key, value)
+ *   await store.create(key, value) → false (and nothing written) if the key exists
+ *   await store.delete(key)
+ *   await store.list(prefix)      → array of keys
+ *
+ * Functions must call connectStore(event) once per invocation so Blobs
+ * picks up the credentials Netlify passes in the Lambda event.
+ * Set STORE_DIR to force the file adapter (defaults to ./.data when
+ * Blobs isn't available, e.g. `netlify functions:serve` without a site).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+let useBlobs = false;
+
+function connectStore(event) {
+  if (process.env.STORE_DIR || !event?.blobs) {
+    useBlobs = false;
+    return;
+  }
+
+  require('@netlify/blobs').connectLambda(event);
+  useBlobs = true;
+}
+
+function openStore(name) {
+  return useBlobs ? blobStore(name) : fileStore(name);
+}
+
+// ===== NETLIFY BLOBS =====
+
+function blobStore(name) {
+  const store = require('@netlify/blobs').getStore({ name, consistency: 'strong' });
+
+  return {
+    get: key => store.get(key, { type: 'json' }),
+    set: (key, value) => store.setJSON(key, value),
+    // This Blobs version has no conditional write: check, write, then read
+    // back - a writer that lost the race sees the other's value
+    async create(key, value) {
+      if (await store.get(key, { type: 'json' }) !== null) return false;
+      await store.setJSON(key, value);
+      const stored = await store.get(key, { type: 'json' });
+      return JSON.stringify(stored) === JSON.stringify(value);
+    },
+    delete: key => store.delete(key),
+    async list(prefix = '') {
+      const { blobs } = await store.list({ prefix });
+      return blobs.map(b => b.key);
+    }
+  };
+}
+
+// ===== LOCAL FILES =====
+
+function fileStore(name) {
+  const dir = path.join(process.env.STORE_DIR || '.data', name);
+  const fileFor = key => path.join(dir, encodeURIComponent(key) + '.json');
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async set(key, value) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify(value, null, 2));
+    },
+    async create(key, value) {
+      await fs.mkdir(dir, { recursive: true });
+      try {
+        await fs.writeFile(fileFor(key), JSON.stringify(value, null, 2), { flag: 'wx' });
+        return true;
+      } catch (err) {
+        if (err.code === 'EEXIST') return false;
+        throw err;
+      }
+    },
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+    async list(prefix = '') {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      return files
+        .filter(f => f.endsWith('.json'))
+        .map(f => decodeURIComponent(f.slice(0, -5)))
+        .filter(key => key.startsWith(prefix));
+    }
+  };
+}
+
+module.exports = { connectStore, openStore };
@@ -0,0 +1,248 @@
+/**
+ * Google Ads Upload Results
+ *
+ * Reads the results / diagnostics CSV Google Ads offers after an upload
+ * and ties each row back to the CallRail call it came from through the
+ * export ledger (netlify/lib/ledger.js):
+ *
+ *   const result = await importUploadResults(client, csvText, { user, fileName });
+ *
+ * Rows are matched on click ID + conversion name + conversion time, as
+ * Google keys them. Errors are sorted into categories; the fixable ones
+ * (conversion action, time format, value, click not yet processed,
+ * Google-side errors) are marked in the ledger so the next onlyNew
+ * export sends those rows again. Rows Google can never take (click too
+ * old, call before click, unknown click) stay exported and stop getting
+ * adjustments. Duplicates mean Google already has the conversion, so
+ * they count as accepted.
+ *
+ * Each import is kept in the 'upload-imports' store:
+ *
+ *   <client>/<id> → {             // id: compact import time, sorts by age
+ *     id, client, importedAt, importedBy, fileName,
+ *     rows, matched, matchRate, accepted, failed, reexportable,
+ *     byCategory,     // { [category]: { label, fixable, rows } }
+ *     byCampaign,     // { [campaign]: { rows, accepted, failed, categories } }
+ *     bySource,       // same, by CallRail source
+ *     results         // [{ clickId, conversionName, callId, status, category, error, ... }]
+ *   }
+ */
+
+const { openStore } = require('./store');
+const { parseCsv } = require('./csv');
+const { findByClickIds, recordUploadResults } = require('./ledger');
+
+const STORE_NAME = 'upload-imports';
+
+// Checked in order - the first pattern that matches the error text wins
+const CATEGORIES = [
+  { category: 'duplicate', label: 'Duplicate', fixable: false, pattern: /duplicate|already (been )?(uploaded|imported|exists)/i },
+  { category: 'expired_click', label: 'Click too old', fixable: false, pattern: /too old|expired|older than|conversion window/i },
+  { category: 'conversion_precedes_click', label: 'Call before click', fixable: false, pattern: /precedes|before the click/i },
+  { category: 'click_too_recent', label: 'Click too recent', fixable: true, pattern: /too recent.*click|click.*too recent/i },
+  { category: 'conversion_action', label: 'Conversion action', fixable: true, pattern: /conversion action|conversion name/i },
+  { category: 'conversion_time', label: 'Conversion time', fixable: true, pattern: /time ?zone|date|conversion time/i },
+  { category: 'value', label: 'Value / currency', fixable: true, pattern: /value|currency/i },
+  { category: 'click_not_found', label: 'Click ID not recognized', fixable: false, pattern: /not recognized|not found|decode|unparseable|gclid|click id|different (account|customer)/i },
+  { category: 'transient', label: 'Google error, try again', fixable: true, pattern: /internal|try again|temporar|timeout|unavailable/i },
+  { category: 'other', label: 'Other', fixable: false, pattern: /./ }
+];
+
+// Header spellings Google Ads has used for each column, lowercased
+const HEADERS = {
+  gclid: ['google click id', 'gclid'],
+  wbraid: ['wbraid'],
+  gbraid: ['gbraid'],
+  conversionName: ['conversion name', 'conversion action'],
+  conversionTime: ['conversion time'],
+  value: ['conversion value'],
+  error: ['errors', 'error', 'error message', 'issues', 'issue', 'results', 'result', 'status']
+};
+
+const SUCCESS = /^(success(ful)?|succeeded|ok|uploaded|imported|accepted|no errors?)?$/i;
+
+class UploadResultsError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'UploadResultsError';
+    this.statusCode = statusCode;
+  }
+}
+
+// → [{ clickId, conversionName, conversionTime, value, error }]; error is
+// null for rows Google accepted
+function parseUploadResults(text) {
+  let rows;
+  try {
+    rows = parseCsv(String(text || ''));
+  } catch (error) {
+    throw new UploadResultsError(error.message);
+  }
+  // Skip "Parameters:TimeZone=..." and any other preamble above the header
+  const headerAt = rows.findIndex(row => row.some(cell => HEADERS.gclid.includes(normalizeHeader(cell))));
+  if (headerAt < 0) {
+    throw new UploadResultsError('No "Google Click ID" column found - upload the results CSV from Google Ads → Uploads');
+  }
+
+  const header = rows[headerAt].map(normalizeHeader);
+  const column = name => header.findIndex(h => HEADERS[name].includes(h));
+  const columns = Object.fromEntries(Object.keys(HEADERS).map(name => [name, column(name)]));
+  if (columns.error < 0) {
+    throw new UploadResultsError('No error / status column found - this looks like the upload file, not its results');
+  }
+
+  const cell = (row, name) => columns[name] >= 0 ? (row[columns[name]] || '').trim() : '';
+  return rows.slice(headerAt + 1)
+    .filter(row => row.some(value => value.trim()))
+    .map(row => {
+      const error = cell(row, 'error');
+      return {
+        clickId: cell(row, 'gclid') || cell(row, 'wbraid') || cell(row, 'gbraid'),
+        conversionName: cell(row, 'conversionName'),
+        conversionTime: cell(row, 'conversionTime'),
+        value: cell(row, 'value'),
+        error: SUCCESS.test(error) ? null : error
+      };
+    });
+}
+
+function classifyError(error) {
+  const { pattern, ...category } = CATEGORIES.find(c => c.pattern.test(error));
+  return category;
+}
+
+async function importUploadResults(client, text, { user, fileName = null } = {}) {
+  const parsed = parseUploadResults(text);
+  if (!parsed.length) {
+    throw new UploadResultsError('The results file has no rows');
+  }
+
+  const importedAt = new Date().toISOString();
+  const id = importedAt.replace(/[-:.]/g, '');
+  const ledger = await findByClickIds(parsed.map(row => row.clickId).filter(Boolean));
+
+  const results = parsed.map(row => {
+    const match = matchRow(row, ledger[row.clickId] || []);
+    const result = {
+      clickId: row.clickId,
+      conversionName: row.conversionName,
+      conversionTime: row.conversionTime,
+      callId: match?.entry.callId || null,
+      key: match?.key || null,
+      campaign: match ? match.entry.campaign || '(unknown)' : '(not in ledger)',
+      source: match ? match.entry.source || '(unknown)' : '(not in ledger)',
+      error: row.error
+    };
+    if (!row.error) return { ...result, status: match ? 'accepted' : 'unmatched' };
+
+    const category = classifyError(row.error);
+    const status = !match ? 'unmatched' : category.category === 'duplicate' ? 'accepted' : 'failed';
+    return { ...result, status, ...category };
+  });
+
+  const matched = results.filter(r => r.status !== 'unmatched');
+  const failed = matched.filter(r => r.status === 'failed');
+  await recordUploadResults(
+    failed.map(r => ({ key: r.key, category: r.category, error: r.error, fixable: r.fixable, importId: id })),
+    matched.filter(r => r.status === 'accepted').map(r => r.key)
+  );
+
+  const record = {
+    id,
+    client: client.id,
+    importedAt,
+    importedBy: user.name,
+    fileName,
+    rows: results.length,
+    matched: matched.length,
+    matchRate: Math.round(matched.length / results.length * 10000) / 10000,
+    accepted: matched.length - failed.length,
+    failed: failed.length,
+    reexportable: failed.filter(r => r.fixable).length,
+    byCategory: countCategories(results),
+    byCampaign: breakdown(matched, 'campaign'),
+    bySource: breakdown(matched, 'source'),
+    results
+  };
+
+  await openStore(STORE_NAME).set(`${client.id}/${id}`, record);
+  return record;
+}
+
+async function getImport(client, id) {
+  const record = await openStore(STORE_NAME).get(`${client.id}/${id}`);
+  if (!record) {
+    throw new UploadResultsError(`Unknown import "${id}"`, 404);
+  }
+  return record;
+}
+
+// Newest first, without the per-row results
+async function listImports(client, limit = 30) {
+  const store = openStore(STORE_NAME);
+  const keys = (await store.list(`${client.id}/`)).sort().reverse().slice(0, limit);
+  const records = await Promise.all(keys.map(key => store.get(key)));
+  return records.filter(Boolean).map(({ results, ...summary }) => summary);
+}
+
+// ===== HELPERS =====
+
+// Google keys a conversion by click ID, action and time: secondary actions
+// share the click, and a repeat caller's calls share click and action.
+// Without a time match, only a lone candidate is safe to take.
+function matchRow(row, candidates) {
+  const named = row.conversionName
+    ? candidates.filter(c => c.entry.conversionName === row.conversionName)
+    : candidates;
+  const timed = named.filter(c => sameConversionTime(c.entry.conversionTime, row.conversionTime));
+  if (timed.length === 1) return timed[0];
+  return named.length === 1 ? named[0] : null;
+}
+
+// "yyyy-mm-dd hh:mm:ss+hhmm" compared as instants; a results file that
+// states its time zone up top (Parameters:TimeZone=) drops the offsets,
+// so those compare on the wall clock
+function sameConversionTime(exported, reported) {
+  if (!exported || !reported) return false;
+  const instant = time => /[+-]\d{2}:?\d{2}$/.test(time)
+    ? Date.parse(time.replace(' ', 'T').replace(/([+-]\d{2}):?(\d{2})$/, '$1:$2'))
+    : NaN;
+  const [a, b] = [instant(exported), instant(reported)];
+  return isNaN(a) || isNaN(b) ? exported.slice(0, 19) === reported.slice(0, 19) : a === b;
+}
+
+function countCategories(results) {
+  const counts = {};
+  for (const { category, label, fixable } of results.filter(r => r.category)) {
+    counts[category] = counts[category] || { label, fixable, rows: 0 };
+    counts[category].rows++;
+  }
+  return counts;
+}
+
+function breakdown(results, field) {
+  const groups = {};
+  for (const result of results) {
+    const group = groups[result[field]] = groups[result[field]] || { rows: 0, accepted: 0, failed: 0, categories: {} };
+    group.rows++;
+    group[result.status]++;
+    if (result.status === 'failed') {
+      group.categories[result.category] = (group.categories[result.category] || 0) + 1;
+    }
+  }
+  return groups;
+}
+
+function normalizeHeader(cell) {
+  return String(cell || '').trim().toLowerCase();
+}
+
+module.exports = {
+  CATEGORIES,
+  UploadResultsError,
+  parseUploadResults,
+  classifyError,
+  importUploadResults,
+  getImport,
+  listImports
+};
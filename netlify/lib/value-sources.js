@@ -0,0 +1,143 @@
+/**
+ * Call Value Sources
+ *
+ * Decides what a call is worth from the strongest signal CallRail has,
+ * in this order:
+ *
+ *   call_value   the call's own "value" field, as entered in CallRail
+ *   tag          a tag mapped to a tier or a fixed dollar amount
+ *   milestone    a milestone the call reached, mapped to a tier
+ *   lead_status  the call's lead status, mapped to a tier
+ *   lead_score   the lead score tier (pricing thresholds) - always last
+ *
+ * Tiers are priced as usual (product price × tier multiplier); dollar
+ * amounts are used as-is. Mappings are the client's "valueRules" in the
+ * client registry (netlify/lib/clients.js):
+ *
+ *   "valueRules": {
+ *     "callValue": true,
+ *     "tags": { "Sold": "very_good", "Deposit Taken": 500, "Spam": "very_poor" },
+ *     "milestones": { "qualified": "good" },
+ *     "leadStatus": { "good_lead": "fair", "not_a_lead": "very_poor" }
+ *   }
+ *
+ * Tag and lead status names match case-insensitively. When several tags
+ * or milestones match, the most valuable wins. For a repeat caller the
+ * strongest source across all their calls decides, then the highest value.
+ */
+
+const { TIER_NAMES } = require('./pricing');
+const { tagNames } = require('./call-fields');
+
+// Strongest first
+const SOURCE_TYPES = ['call_value', 'tag', 'milestone', 'lead_status', 'lead_score'];
+
+const DEFAULT_RULES = {
+  callValue: true,
+  tags: {},
+  milestones: {},
+  leadStatus: {}
+};
+
+// → { value, tier, source: { type, detail, callId } } for a caller's calls
+function resolveCallerValue(calls, rules, pricing) {
+  let best = null;
+  for (const call of calls) {
+    const resolved = resolveCallValue(call, rules, pricing);
+    resolved.source.callId = call.id;
+    if (!best || outranks(resolved, best)) best = resolved;
+  }
+  return best;
+}
+
+function outranks(a, b) {
+  const rank = SOURCE_TYPES.indexOf(a.source.type) - SOURCE_TYPES.indexOf(b.source.type);
+  return rank < 0 || (rank === 0 && a.value > b.value);
+}
+
+// → { value, tier, source: { type, detail } } for one call
+// scoreTier is the call's lead score tier; it stays the row's tier when
+// the value is a dollar amount.
+function resolveCallValue(call, rules, { productPrice, multipliers, scoreTier }) {
+  const priced = tier => Math.round(productPrice * (multipliers[tier] || 0) * 100) / 100;
+  const fromMapping = (mapped, type, detail) => typeof mapped === 'number'
+    ? { value: mapped, tier: scoreTier, source: { type, detail } }
+    : { value: priced(mapped), tier: mapped, source: { type, detail } };
+
+  const callValue = parseCallValue(call.value);
+  if (rules.callValue && callValue !== null) {
+    return { value: callValue, tier: scoreTier, source: { type: 'call_value', detail: `$${callValue.toFixed(2)}` } };
+  }
+
+  const tagMatches = tagNames(call)
+    .map(tag => [tag, lookupIgnoreCase(rules.tags, tag)])
+    .filter(([, mapped]) => mapped !== undefined)
+    .map(([tag, mapped]) => fromMapping(mapped, 'tag', tag));
+  if (tagMatches.length) return mostValuable(tagMatches);
+
+  const milestoneMatches = Object.keys(rules.milestones)
+    .filter(milestone => call.milestones && call.milestones[milestone])
+    .map(milestone => fromMapping(rules.milestones[milestone], 'milestone', milestone));
+  if (milestoneMatches.length) return mostValuable(milestoneMatches);
+
+  const leadStatus = lookupIgnoreCase(rules.leadStatus, call.lead_status);
+  if (leadStatus !== undefined) {
+    return fromMapping(leadStatus, 'lead_status', call.lead_status);
+  }
+
+  return { value: priced(scoreTier), tier: scoreTier, source: { type: 'lead_score', detail: scoreTier } };
+}
+
+function mostValuable(matches) {
+  return matches.reduce((best, match) => match.value > best.value ? match : best);
+}
+
+// CallRail sends value as a string ("1,250.00") or number; blank means unset
+function parseCallValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const amount = parseFloat(String(value).replace(/[$,\s]/g, ''));
+  return isNaN(amount) || amount < 0 ? null : Math.round(amount * 100) / 100;
+}
+
+function lookupIgnoreCase(map, key) {
+  if (!key) return undefined;
+  const lower = String(key).toLowerCase();
+  const match = Object.keys(map).find(k => k.toLowerCase() === lower);
+  return match === undefined ? undefined : map[match];
+}
+
+// Client registry "valueRules" over the defaults
+function normalizeValueRules(config = {}) {
+  const rules = { ...DEFAULT_RULES, ...config };
+  const errors = validateValueRules(rules);
+  if (errors.length) {
+    throw new Error(`valueRules: ${errors.join('; ')}`);
+  }
+  return rules;
+}
+
+function validateValueRules(rules) {
+  const errors = [];
+  for (const key of ['tags', 'milestones', 'leadStatus']) {
+    if (typeof rules[key] !== 'object' || rules[key] === null || Array.isArray(rules[key])) {
+      errors.push(`${key} must map names to a tier or dollar amount`);
+      continue;
+    }
+    for (const [name, mapped] of Object.entries(rules[key])) {
+      // Only tags can carry a fixed amount
+      const amountAllowed = key === 'tags' && typeof mapped === 'number' && mapped >= 0;
+      if (!amountAllowed && !TIER_NAMES.includes(mapped)) {
+        errors.push(`${key}.${name}: "${mapped}" is not a tier${key === 'tags' ? ' or dollar amount' : ''}`);
+      }
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  resolveCallValue,
+  resolveCallerValue,
+  normalizeValueRules,
+  validateValueRules
+};
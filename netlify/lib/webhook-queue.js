@@ -0,0 +1,79 @@
+/**
+ * Webhook Call Queue
+ *
+ * Calls pushed by CallRail's post-call and call-modified webhooks, held
+ * until the next export or upload reads them with source=queue. Keyed
+ * by the call's start date so a window can be read without listing
+ * everything:
+ *
+ *   YYYY-MM-DD/<callId> → {
+ *     client,        // client id the webhook was registered for
+ *     call,          // latest CallRail payload (call-modified merges into it)
+ *     preview,       // per-call valuation at receive time, for logs/debugging
+ *     events,        // [{ event, at }] every webhook seen for this call
+ *     receivedAt, updatedAt
+ *   }
+ *
+ * Final values are still computed at export time, because repeat-caller
+ * grouping needs every call in the window. CallRail call IDs are unique
+ * across accounts, so clients share one queue.
+ */
+
+const { openStore } = require('./store');
+
+const STORE_NAME = 'webhook-queue';
+
+function queueKey(call) {
+  return `${new Date(call.start_time).toISOString().split('T')[0]}/${call.id}`;
+}
+
+async function getQueuedCall(call) {
+  return openStore(STORE_NAME).get(queueKey(call));
+}
+
+async function enqueueCall(client, call, event, preview) {
+  const store = openStore(STORE_NAME);
+  const key = queueKey(call);
+  const existing = await store.get(key);
+  const now = new Date().toISOString();
+
+  const entry = {
+    client: client.id,
+    // call-modified payloads can be partial - keep what we already knew
+    call: { ...(existing?.call || {}), ...call },
+    preview,
+    events: [...(existing?.events || []), { event, at: now }],
+    receivedAt: existing?.receivedAt || now,
+    updatedAt: now
+  };
+
+  await store.set(key, entry);
+  return entry;
+}
+
+// The client's calls whose start_time falls inside [startDate, endDate) -
+// end-exclusive like the CallRail fetch, so adjacent windows don't share a call
+async function listQueuedCalls(startDate, endDate, client) {
+  const store = openStore(STORE_NAME);
+  const calls = [];
+
+  for (let day = new Date(startDate.toISOString().split('T')[0]); day < endDate; day.setUTCDate(day.getUTCDate() + 1)) {
+    const keys = await store.list(day.toISOString().split('T')[0] + '/');
+    const entries = await Promise.all(keys.map(key => store.get(key)));
+
+    for (const entry of entries) {
+      if (!entry || !belongsTo(entry, client)) continue;
+      const time = new Date(entry.call.start_time);
+      if (time >= startDate && time < endDate) calls.push(entry.call);
+    }
+  }
+
+  return calls;
+}
+
+// Entries queued before clients existed belong to the default client
+function belongsTo(entry, client) {
+  return entry.client ? entry.client === client.id : client.isDefault;
+}
+
+module.exports = { getQueuedCall, enqueueCall, listQueuedCalls };
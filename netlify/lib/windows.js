@@ -0,0 +1,76 @@
+/**
+ * Export Windows
+ *
+ * Turns request parameters into the instant range an export covers:
+ *
+ *   const { startDate, endDate, hours } = resolveWindow(params, client);
+ *
+ *   hours=48 / days=7                  trailing window ending now (7 days if unset)
+ *   from=2026-09-01&to=2026-09-30      absolute range - dates are whole days,
+ *                                      both inclusive
+ *   from=2026-09-01T08:00&to=...T17:00 wall-clock times, end exclusive
+ *
+ * from / to are read in the client's time zone (the Google Ads account's),
+ * unless they carry their own offset or Z. An end in the future is cut
+ * back to now; `requested` keeps the from / to as given. Bad input
+ * throws a WindowError (400).
+ *
+ * Google Ads refuses clicks older than CLICK_AGE_LIMIT_DAYS, so backfills
+ * never reach further back than that (clampToClickAge).
+ */
+
+const { parseZonedTime } = require('./conversions');
+const { addDays } = require('./callrail');
+const { CLICK_AGE_LIMIT_DAYS } = require('./click-age');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+class WindowError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WindowError';
+    this.statusCode = statusCode;
+  }
+}
+
+function resolveWindow(params, client, { defaultDays = 7, now = new Date() } = {}) {
+  if (!params.from && params.to) {
+    throw new WindowError('to needs a from');
+  }
+
+  if (!params.from) {
+    const hours = parseInt(params.hours) || (parseInt(params.days) || defaultDays) * 24;
+    return { startDate: new Date(now - hours * 60 * 60 * 1000), endDate: now, hours };
+  }
+
+  const startDate = parseZonedTime(params.from, client.timeZone);
+  // A bare end date means through the end of that day
+  let endDate = !params.to ? now
+    : DATE_ONLY.test(params.to) ? parseZonedTime(addDays(params.to, 1), client.timeZone)
+      : parseZonedTime(params.to, client.timeZone);
+
+  if (isNaN(startDate)) throw new WindowError(`Invalid from: ${params.from}`);
+  if (isNaN(endDate)) throw new WindowError(`Invalid to: ${params.to}`);
+  if (endDate > now) endDate = now;
+  if (endDate <= startDate) {
+    throw new WindowError(`from (${startDate.toISOString()}) must be before to (${endDate.toISOString()})`);
+  }
+
+  return {
+    startDate,
+    endDate,
+    hours: Math.round((endDate - startDate) / (60 * 60 * 1000)),
+    requested: { from: params.from, to: params.to || null }
+  };
+}
+
+// → the start Google Ads will still accept clicks from, and whether it moved
+function clampToClickAge(startDate, now = new Date()) {
+  const earliest = new Date(now - CLICK_AGE_LIMIT_DAYS * DAY_MS);
+  return startDate < earliest
+    ? { startDate: earliest, clamped: true }
+    : { startDate, clamped: false };
+}
+
+module.exports = { CLICK_AGE_LIMIT_DAYS, WindowError, resolveWindow, clampToClickAge };
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  STORE_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-')),
+  AUTH_TOKEN_SECRET: 'test-secret',
+  AUTH_USERS: 'glen:pa:ss:w0rd:exporter, intern:hunter2:viewer',
+  AUTH_MAX_FAILURES: '3'
+});
+
+const { login, authenticate } = require('../netlify/lib/auth');
+const { handler } = require('../netlify/functions/auth-login');
+
+test.after(() => fs.rmSync(process.env.STORE_DIR, { recursive: true, force: true }));
+
+const bearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+test('passwords may contain colons', async () => {
+  const session = await login('glen', 'pa:ss:w0rd');
+  assert.deepEqual(session.user, { name: 'glen', role: 'exporter' });
+  assert.deepEqual(authenticate(bearer(session.token), 'exporter'), { name: 'glen', role: 'exporter' });
+});
+
+test('roles are enforced', async () => {
+  const session = await login('intern', 'hunter2');
+  assert.equal(authenticate(bearer(session.token)).role, 'viewer');
+  assert.throws(() => authenticate(bearer(session.token), 'exporter'), { statusCode: 403 });
+});
+
+test('a wrong password is refused', async () => {
+  await assert.rejects(login('glen', 'pa:ss'), { statusCode: 401 });
+});
+
+test('repeated failures lock the username out', async () => {
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(login('intern', 'wrong'), { statusCode: 401 });
+  }
+  // Even the right password waits until the window has passed
+  const error = await login('intern', 'hunter2').catch(e => e);
+  assert.equal(error.statusCode, 429);
+  assert.ok(error.retryAfter > 0 && error.retryAfter <= 15 * 60);
+});
+
+test('repeated failures from one IP lock it out across usernames', async () => {
+  const attempt = username => handler({
+    httpMethod: 'POST',
+    headers: { 'x-nf-client-connection-ip': '203.0.113.9' },
+    body: JSON.stringify({ username, password: 'guess' })
+  });
+
+  for (const username of ['a', 'b', 'c']) {
+    assert.equal((await attempt(username)).statusCode, 401);
+  }
+  const locked = await attempt('d');
+  assert.equal(locked.statusCode, 429);
+  assert.ok(parseInt(locked.headers['Retry-After']) > 0);
+
+  // Another address is unaffected
+  const other = await handler({
+    httpMethod: 'POST',
+    headers: { 'x-nf-client-connection-ip': '203.0.113.10' },
+    body: JSON.stringify({ username: 'glen', password: 'pa:ss:w0rd' })
+  });
+  assert.equal(other.statusCode, 200);
+});
+
+test('a successful login clears earlier failures', async () => {
+  await assert.rejects(login('glen', 'nope'), { statusCode: 401 });
+  await assert.rejects(login('glen', 'nope'), { statusCode: 401 });
+  await login('glen', 'pa:ss:w0rd');
+  await assert.rejects(login('glen', 'nope'), { statusCode: 401 });
+  await assert.rejects(login('glen', 'nope'), { statusCode: 401 });
+  assert.equal((await login('glen', 'pa:ss:w0rd')).user.name, 'glen');
+});
+
+test('a malformed body is a 400', async () => {
+  const response = await handler({ httpMethod: 'POST', headers: {}, body: '{' });
+  assert.equal(response.statusCode, 400);
+});
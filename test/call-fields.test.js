@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { tagNames, includesIgnoreCase } = require('../netlify/lib/call-fields');
+const { qualifyCall } = require('../netlify/lib/qualification');
+const { resolveActions } = require('../netlify/lib/conversion-actions');
+
+test('tag names come from objects or plain strings', () => {
+  assert.deepEqual(tagNames({ tags: [{ name: 'Sold' }, 'Deposit Taken', { name: '' }] }), ['Sold', 'Deposit Taken']);
+  assert.deepEqual(tagNames({}), []);
+});
+
+test('names match ignoring case', () => {
+  assert.equal(includesIgnoreCase(['Google Ads'], 'google ads'), true);
+  assert.equal(includesIgnoreCase(['Google Ads'], 'Bing'), false);
+  assert.equal(includesIgnoreCase(['Google Ads'], undefined), false);
+});
+
+test('spam tags and tag-based actions match either tag shape', () => {
+  assert.equal(qualifyCall({ tags: ['SPAM'] }, { spamTags: ['spam'] }), 'spamTags');
+  assert.equal(qualifyCall({ tags: [{ name: 'Spam' }] }, { spamTags: ['spam'] }), 'spamTags');
+  assert.equal(qualifyCall({ tags: [{ name: 'Sold' }] }, { spamTags: ['spam'] }), null);
+
+  const rules = [{ name: 'Sale', tags: ['sold'] }];
+  assert.equal(resolveActions({ tags: ['Sold'] }, 'good', rules, 'Phone Call').name, 'Sale');
+  assert.equal(resolveActions({ tags: [{ name: 'SOLD' }] }, 'good', rules, 'Phone Call').name, 'Sale');
+  assert.equal(resolveActions({ tags: [] }, 'good', rules, 'Phone Call').name, 'Phone Call');
+});
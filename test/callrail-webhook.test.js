@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  STORE_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-test-')),
+  CLIENTS_FILE: path.join(__dirname, 'fixtures/clients.json'),
+  CALLRAIL_WEBHOOK_SECRET: 'whsec-test'
+});
+
+const { handler } = require('../netlify/functions/callrail-webhook');
+const { getQueuedCall, listQueuedCalls } = require('../netlify/lib/webhook-queue');
+const { getClient } = require('../netlify/lib/clients');
+
+const CALL_ID = 'CAL8154748ae6bd4e278a7cddd38a662f4f';
+const START = '2026-09-04T10:20:00.000-07:00';
+
+const payload = name => fs.readFileSync(path.join(__dirname, 'fixtures/webhooks', name), 'utf8');
+const sign = body => crypto.createHmac('sha1', process.env.CALLRAIL_WEBHOOK_SECRET).update(body).digest('base64');
+
+// Replays a saved payload the way CallRail posts it
+function replay(body, event = 'post_call', signature = sign(body)) {
+  return handler({
+    httpMethod: 'POST',
+    headers: { signature },
+    queryStringParameters: { event },
+    body
+  });
+}
+
+test.after(() => fs.rmSync(process.env.STORE_DIR, { recursive: true, force: true }));
+
+test('a post-call webhook is queued under its resource_id', async () => {
+  const response = await replay(payload('post-call.json'));
+  const body = JSON.parse(response.body);
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(body.callId, CALL_ID);
+  assert.equal(body.preview.clickIdType, 'gclid');
+  assert.equal(body.preview.clickId, 'Cj0KCQ-webhook');
+
+  const entry = await getQueuedCall({ id: CALL_ID, start_time: START });
+  assert.equal(entry.client, 'main');
+  assert.equal(entry.call.id, CALL_ID);
+  assert.deepEqual(entry.events.map(e => e.event), ['post_call']);
+});
+
+test('a call-modified webhook layers over the queued call', async () => {
+  const response = await replay(payload('call-modified.json'), 'call_modified');
+  assert.equal(response.statusCode, 200);
+
+  const entry = await getQueuedCall({ id: CALL_ID, start_time: START });
+  assert.equal(entry.call.lead_score, 88);
+  assert.equal(entry.call.gclid, 'Cj0KCQ-webhook');
+  assert.equal(entry.call.customer_phone_number, '+15550000042');
+  assert.deepEqual(entry.events.map(e => e.event), ['post_call', 'call_modified']);
+
+  const queued = await listQueuedCalls(new Date('2026-09-04T00:00:00Z'), new Date('2026-09-05T00:00:00Z'), getClient());
+  assert.deepEqual(queued.map(call => call.id), [CALL_ID]);
+});
+
+test('a call at the end of a window belongs to the next one', async () => {
+  const end = new Date(START);
+  const before = await listQueuedCalls(new Date('2026-09-04T00:00:00Z'), end, getClient());
+  const after = await listQueuedCalls(end, new Date('2026-09-05T00:00:00Z'), getClient());
+
+  assert.deepEqual(before.map(call => call.id), []);
+  assert.deepEqual(after.map(call => call.id), [CALL_ID]);
+});
+
+test('a bad signature is refused without queueing', async () => {
+  const body = payload('post-call.json').replace(CALL_ID, 'CALforged');
+  const response = await replay(body, 'post_call', sign(payload('post-call.json')));
+
+  assert.equal(response.statusCode, 401);
+  assert.equal(await getQueuedCall({ id: 'CALforged', start_time: START }), null);
+});
+
+test('unknown events and incomplete or malformed payloads are a 400', async () => {
+  assert.equal((await replay(payload('post-call.json'), 'call_deleted')).statusCode, 400);
+  assert.equal((await replay(JSON.stringify({ resource_id: CALL_ID }))).statusCode, 400);
+  assert.equal((await replay('{"resource_id":')).statusCode, 400);
+});
+
+test('only POST is accepted', async () => {
+  assert.equal((await handler({ httpMethod: 'GET', headers: {} })).statusCode, 405);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fixture = require('./fixtures/callrail-calls.json');
+const { stubCallRail, jsonResponse, restoreFetch } = require('./helpers/callrail-stub');
+const { fetchAllCalls, dateChunks } = require('../netlify/lib/callrail');
+
+const ACCOUNT = { apiKey: 'test-key', accountId: 'ACC1' };
+
+test.afterEach(restoreFetch);
+
+const START = new Date('2026-09-01T07:00:00Z');
+const END = new Date('2026-09-11T07:00:00Z');
+
+test('follows total_pages across every chunk', async () => {
+  const requests = stubCallRail(fixture, { pageSize: 2 });
+  const { calls, truncated } = await fetchAllCalls(START, END, ACCOUNT);
+
+  assert.equal(truncated, null);
+  assert.deepEqual(calls.map(c => c.id).sort(), ['CAL001', 'CAL002', 'CAL003', 'CAL004', 'CAL005']);
+  // Two 7-day chunks; the first has three calls over two pages
+  assert.deepEqual(requests.map(r => [r.url.searchParams.get('start_date'), r.url.searchParams.get('page')]),
+    [['2026-09-01', '1'], ['2026-09-01', '2'], ['2026-09-08', '1']]);
+  assert.equal(requests[0].headers.Authorization, 'Token token=test-key');
+});
+
+test('follows next_page links', async () => {
+  const requests = stubCallRail(fixture, { pageSize: 1, pagination: 'relative' });
+  const { calls } = await fetchAllCalls(START, END, ACCOUNT);
+
+  assert.equal(calls.length, 5);
+  assert.equal(requests.length, 5);
+});
+
+test('drops calls outside the exact window', async () => {
+  stubCallRail(fixture);
+  // CallRail filters by whole dates - CAL001 is on the day but before the start
+  const { calls } = await fetchAllCalls(new Date('2026-09-01T23:00:00Z'), new Date('2026-09-09T20:15:00Z'), ACCOUNT);
+  assert.deepEqual(calls.map(c => c.id).sort(), ['CAL002', 'CAL003']);
+});
+
+test('retries a 429 after Retry-After', async () => {
+  const requests = stubCallRail(fixture, { rateLimited: 2, retryAfter: '0' });
+  const { calls, truncated } = await fetchAllCalls(START, END, ACCOUNT);
+
+  assert.equal(truncated, null);
+  assert.equal(calls.length, 5);
+  assert.equal(requests.length, 2 + 3);
+});
+
+test('gives up on a rate limit it cannot wait out, keeping whole chunks', async () => {
+  let served = 0;
+  const requests = stubCallRail(fixture, { pageSize: 10 });
+  const serve = global.fetch;
+  // The first chunk comes back, then CallRail wants a minute's pause
+  global.fetch = async (url, options) => served++ ? jsonResponse(429, {}, { 'retry-after': '60' }) : serve(url, options);
+
+  const { calls, truncated } = await fetchAllCalls(START, END, ACCOUNT, { timeBudgetMs: 5000 });
+
+  assert.deepEqual(calls.map(c => c.id).sort(), ['CAL001', 'CAL002', 'CAL003']);
+  assert.deepEqual(truncated, { reason: 'rate_limited', fetchedThrough: '2026-09-07', resumeFrom: '2026-09-08' });
+  assert.equal(requests.length, 1);
+});
+
+test('stops when the time budget is spent', async () => {
+  stubCallRail(fixture);
+  const { calls, truncated } = await fetchAllCalls(START, END, ACCOUNT, { timeBudgetMs: 0 });
+
+  assert.deepEqual(calls, []);
+  assert.deepEqual(truncated, { reason: 'time_budget', fetchedThrough: '2026-08-31', resumeFrom: '2026-09-01' });
+});
+
+test('needs an API key and account', async () => {
+  await assert.rejects(fetchAllCalls(START, END, { accountId: 'ACC1' }), /not configured/);
+});
+
+test('dateChunks covers the range inclusively', () => {
+  assert.deepEqual(dateChunks(new Date('2026-09-01T00:00:00Z'), new Date('2026-09-15T12:00:00Z'), 7), [
+    { start: '2026-09-01', end: '2026-09-07' },
+    { start: '2026-09-08', end: '2026-09-14' },
+    { start: '2026-09-15', end: '2026-09-15' }
+  ]);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  STORE_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-')),
+  CLIENTS_FILE: path.join(__dirname, 'fixtures/clients.json'),
+  AUTH_DISABLED: 'true',
+  CALLRAIL_API_KEY: 'test-key',
+  CALLRAIL_ACCOUNT_ID: 'ACC1'
+});
+
+const fixture = require('./fixtures/callrail-calls.json');
+const { stubCallRail, jsonResponse, restoreFetch } = require('./helpers/callrail-stub');
+const { handler } = require('../netlify/functions/conversion-report');
+
+// 2026-09-06 to 09-10 (Phoenix) against 09-01 to 09-05
+const WINDOW = { from: '2026-09-06', to: '2026-09-10' };
+
+const report = async () => {
+  const response = await handler({ httpMethod: 'GET', queryStringParameters: WINDOW });
+  assert.equal(response.statusCode, 200);
+  return JSON.parse(response.body);
+};
+
+test.afterEach(restoreFetch);
+test.after(() => fs.rmSync(process.env.STORE_DIR, { recursive: true, force: true }));
+
+test('both periods complete are compared', async () => {
+  stubCallRail(fixture, { pageSize: 10 });
+  const body = await report();
+
+  assert.equal(body.comparable, true);
+  assert.equal(body.totals.current.calls, 2);
+  assert.equal(body.totals.previous.calls, 3);
+  assert.notEqual(body.totals.change.value, null);
+});
+
+test('running out of budget cuts the previous period, and the changes with it', async () => {
+  stubCallRail(fixture, { pageSize: 10 });
+  const serve = global.fetch;
+  // Rate limited for longer than the budget once past this period
+  global.fetch = async (url, options) => new URL(url).searchParams.get('start_date') < '2026-09-06'
+    ? jsonResponse(429, {}, { 'retry-after': '60' })
+    : serve(url, options);
+  const body = await report();
+
+  assert.equal(body.truncated, null);
+  assert.equal(body.totals.current.calls, 2);
+  assert.equal(body.previousTruncated.reason, 'rate_limited');
+  assert.equal(body.comparable, false);
+  assert.deepEqual(body.totals.change, { conversions: null, value: null });
+  assert.ok(body.breakdowns.campaign.every(group => group.change.value === null));
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, parseCsv, escapeField } = require('../netlify/lib/csv');
+const { CONVERSION_COLUMNS, ADJUSTMENT_COLUMNS } = require('../netlify/lib/export');
+
+const COLUMNS = [
+  { header: 'Google Click ID', value: r => r.gclid },
+  { header: 'Conversion Name', value: r => r.name },
+  { header: 'Conversion Value', value: r => r.value }
+];
+
+const TRICKY = [
+  { gclid: 'Cj0KCQ,comma', name: 'Phone "Sale"', value: 1995 },
+  { gclid: 'line\nbreak', name: 'crlf\r\ninside', value: 0 },
+  { gclid: '', name: null, value: undefined },
+  { gclid: '  spaced  ', name: 'unicode – ✓', value: 12.5 }
+];
+
+const cells = row => COLUMNS.map(c => {
+  const value = c.value(row);
+  return value === null || value === undefined ? '' : String(value);
+});
+
+test('round-trips commas, quotes, line breaks and empty values', () => {
+  const rows = parseCsv(toCsv(TRICKY, COLUMNS));
+  assert.deepEqual(rows, [COLUMNS.map(c => c.header), ...TRICKY.map(cells)]);
+});
+
+test('ends every row in CRLF and only quotes when needed', () => {
+  const csv = toCsv([{ gclid: 'plain', name: 'a,b', value: 1 }], COLUMNS);
+  assert.equal(csv, 'Google Click ID,Conversion Name,Conversion Value\r\nplain,"a,b",1\r\n');
+  assert.equal(escapeField('say "hi"'), '"say ""hi"""');
+});
+
+test('writes the Google Ads time zone line first', () => {
+  const rows = parseCsv(toCsv(TRICKY, COLUMNS, { timeZone: 'America/Phoenix' }));
+  assert.deepEqual(rows[0], ['Parameters:TimeZone=America/Phoenix']);
+  assert.deepEqual(rows.slice(1), [COLUMNS.map(c => c.header), ...TRICKY.map(cells)]);
+});
+
+test('the sheets layout pads every row to the same width', () => {
+  const rows = parseCsv(toCsv(TRICKY, COLUMNS, { timeZone: 'America/Phoenix', layout: 'sheets' }));
+  assert.deepEqual(rows[0], ['Parameters:TimeZone=America/Phoenix', '', '']);
+  assert.ok(rows.every(row => row.length === COLUMNS.length));
+});
+
+test('reads LF endings, a BOM and a missing final newline', () => {
+  assert.deepEqual(parseCsv('\uFEFFa,b\n"c\nd",e'), [['a', 'b'], ['c\nd', 'e']]);
+});
+
+test('refuses an unterminated quote', () => {
+  assert.throws(() => parseCsv('a,"b\n'), /unterminated/);
+});
+
+test('conversion and adjustment templates round-trip', () => {
+  const conversion = {
+    clickIdType: 'gclid', clickId: 'Cj0KCQ,x"y', conversionName: 'Phone, Call',
+    conversionTime: '2026-09-01 15:00:00-0700', conversionValue: 1995, currency: 'USD'
+  };
+  const [header, row] = parseCsv(toCsv([conversion], CONVERSION_COLUMNS));
+  assert.deepEqual(header, CONVERSION_COLUMNS.map(c => c.header));
+  assert.deepEqual(row, ['Cj0KCQ,x"y', '', '', 'Phone, Call', '2026-09-01 15:00:00-0700', '1995', 'USD']);
+
+  const retraction = {
+    gclid: 'G1', conversionName: 'Phone Call', conversionTime: '2026-09-01 15:00:00-0700',
+    adjustmentTime: '2026-09-05 10:00:00-0700', adjustmentType: 'RETRACTION', adjustedValue: 0, currency: 'USD'
+  };
+  const [, adjustment] = parseCsv(toCsv([retraction], ADJUSTMENT_COLUMNS));
+  assert.deepEqual(adjustment, ['G1', 'Phone Call', '2026-09-01 15:00:00-0700', '2026-09-05 10:00:00-0700', 'RETRACTION', '', 'USD']);
+});
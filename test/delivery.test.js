@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+Object.assign(process.env, {
+  SMTP_HOST: '127.0.0.1',
+  EXPORT_EMAIL_FROM: 'exports@example.com',
+  EXPORT_EMAIL_TO: 'ads@example.com',
+  SFTP_HOST: '127.0.0.1',
+  SFTP_USERNAME: 'google',
+  SFTP_PASSWORD: 'sftp-pass',
+  SFTP_PATH: '/uploads/conversions.csv',
+  GOOGLE_SHEETS_API_URL: 'https://sheets.test/v4',
+  GOOGLE_OAUTH_TOKEN_URL: 'https://oauth.test/token',
+  GOOGLE_SHEETS_SPREADSHEET_ID: 'sheet-1',
+  GOOGLE_SHEETS_CREDENTIALS: JSON.stringify({
+    client_email: 'exporter@project.iam.gserviceaccount.com',
+    private_key: crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' }
+    }).privateKey
+  })
+});
+
+const { startSmtpServer } = require('./helpers/smtp-server');
+const { startSftpServer } = require('./helpers/sftp-server');
+const { jsonResponse, restoreFetch } = require('./helpers/callrail-stub');
+const { deliver } = require('../netlify/lib/delivery');
+
+const file = (csv, createdAt) => ({
+  filename: 'callrail_gads_conversions_main_2026-10-19.csv',
+  csv,
+  sheetRows: [['Parameters:TimeZone=America/Phoenix', ''], ['Google Click ID', 'Conversion Value'], ...csv.split('\n').map(line => line.split(','))],
+  summary: { client: 'Main account', rows: csv.split('\n').length, totalValue: 250, from: '2026-10-12', to: '2026-10-19' },
+  overrides: {},
+  createdAt
+});
+
+let smtp;
+let sftp;
+
+test.before(async () => {
+  smtp = await startSmtpServer();
+  sftp = await startSftpServer({ username: 'google', password: 'sftp-pass' });
+  process.env.SMTP_PORT = String(smtp.port);
+  process.env.SFTP_PORT = String(sftp.port);
+});
+
+test.after(async () => {
+  await smtp.close();
+  await sftp.close();
+});
+
+test.afterEach(restoreFetch);
+
+test('email sends the CSV as an attachment', async () => {
+  const [result] = await deliver(['email'], file('Cj0-one,150\nCj0-two,100', '2026-10-19T13:00:00Z'));
+
+  assert.equal(result.status, 'delivered', result.error);
+  const [message] = smtp.messages;
+  assert.equal(message.from, 'exports@example.com');
+  assert.deepEqual(message.to, ['ads@example.com']);
+  assert.match(message.data, /Subject: Google Ads conversions for Main account: 2 new, \$250\.00/);
+  assert.match(message.data, /filename=callrail_gads_conversions_main_2026-10-19\.csv/);
+});
+
+test('each SFTP delivery writes its own dated file', async () => {
+  const first = await deliver(['sftp'], file('Cj0-one,150', '2026-10-19T13:00:00Z'));
+  const second = await deliver(['sftp'], file('Cj0-two,100', '2026-10-20T13:00:00Z'));
+
+  assert.equal(first[0].status, 'delivered', first[0].error);
+  assert.equal(second[0].status, 'delivered', second[0].error);
+  assert.equal(sftp.files.get('/uploads/conversions_20261019-130000.csv'), 'Cj0-one,150');
+  assert.equal(sftp.files.get('/uploads/conversions_20261020-130000.csv'), 'Cj0-two,100');
+});
+
+test('a failing target doesn\'t stop the others', async () => {
+  process.env.SFTP_PASSWORD = 'wrong';
+  try {
+    const results = await deliver(['sftp', 'email'], file('Cj0-three,50', '2026-10-21T13:00:00Z'));
+    assert.deepEqual(results.map(r => r.status), ['failed', 'delivered']);
+    assert.equal(sftp.files.has('/uploads/conversions_20261021-130000.csv'), false);
+  } finally {
+    process.env.SFTP_PASSWORD = 'sftp-pass';
+  }
+});
+
+test('sheets appends rows, with the template lines only on an empty tab', async () => {
+  const tab = [];
+  global.fetch = async (url, options = {}) => {
+    url = new URL(url);
+    if (url.host === 'oauth.test') return jsonResponse(200, { access_token: 'sheets-token' });
+
+    assert.equal(options.headers.Authorization, 'Bearer sheets-token');
+    assert.equal(url.pathname, '/v4/spreadsheets/sheet-1/values/Sheet1' + (options.method === 'GET' ? '' : ':append'));
+    if (options.method === 'GET') return jsonResponse(200, tab.length ? { values: tab } : {});
+    tab.push(...JSON.parse(options.body).values);
+    return jsonResponse(200, {});
+  };
+
+  const first = await deliver(['sheets'], file('Cj0-one,150\nCj0-two,100', '2026-10-19T13:00:00Z'));
+  const second = await deliver(['sheets'], file('Cj0-three,50', '2026-10-20T13:00:00Z'));
+
+  assert.equal(first[0].status, 'delivered', first[0].error);
+  assert.equal(second[0].status, 'delivered', second[0].error);
+  assert.deepEqual(tab, [
+    ['Parameters:TimeZone=America/Phoenix', ''],
+    ['Google Click ID', 'Conversion Value'],
+    ['Cj0-one', '150'],
+    ['Cj0-two', '100'],
+    ['Cj0-three', '50']
+  ]);
+});
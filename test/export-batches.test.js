@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  STORE_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'batches-test-')),
+  CLIENTS_FILE: path.join(__dirname, 'fixtures/clients.json'),
+  AUTH_DISABLED: 'true',
+  CALLRAIL_API_KEY: 'test-key',
+  CALLRAIL_ACCOUNT_ID: 'ACC1',
+  FEED_USERNAME: 'google',
+  FEED_PASSWORD: 'feed-pass',
+  EXPORT_DELIVERY: 'email'
+});
+delete process.env.ALLOW_UNREVIEWED_EXPORTS;
+
+const fixture = require('./fixtures/callrail-calls.json');
+const { stubCallRail, restoreFetch } = require('./helpers/callrail-stub');
+const batches = require('../netlify/functions/export-batches');
+const sync = require('../netlify/functions/sync-gads-conversions');
+const feed = require('../netlify/functions/gads-feed');
+const scheduled = require('../netlify/functions/scheduled-export');
+
+test.beforeEach(() => stubCallRail(fixture, { pageSize: 10 }));
+test.afterEach(restoreFetch);
+test.after(() => fs.rmSync(process.env.STORE_DIR, { recursive: true, force: true }));
+
+const post = async body => JSON.parse((await batches.handler({ httpMethod: 'POST', body: JSON.stringify(body) })).body);
+const download = id => batches.handler({ httpMethod: 'GET', queryStringParameters: { id, format: 'csv' } });
+const dataLines = csv => csv.trim().split('\r\n').slice(2);
+
+test('an approved batch downloads each row only once', async () => {
+  const { batch } = await post({ action: 'create', from: '2026-09-01', to: '2026-09-10' });
+  assert.ok(batch.rows.length > 0);
+  await post({ action: 'approve', id: batch.id });
+
+  const first = await download(batch.id);
+  assert.equal(first.statusCode, 200);
+  assert.equal(dataLines(first.body).length, batch.rows.length);
+  assert.equal(first.headers['X-Already-Exported'], '0');
+
+  const again = await download(batch.id);
+  assert.equal(dataLines(again.body).length, 0);
+  assert.equal(again.headers['X-Already-Exported'], String(batch.rows.length));
+});
+
+test('a draft can\'t be downloaded', async () => {
+  const { batch } = await post({ action: 'create', from: '2026-09-01', to: '2026-09-10' });
+  assert.equal((await download(batch.id)).statusCode, 409);
+});
+
+test('unreviewed exports are refused without the opt-out', async () => {
+  for (const format of ['csv', 'upload', 'adjustments', 'ga4']) {
+    const response = await sync.handler({ httpMethod: 'GET', queryStringParameters: { from: '2026-09-01', to: '2026-09-10', format } });
+    assert.equal(response.statusCode, 403, format);
+    assert.match(JSON.parse(response.body).error, /ALLOW_UNREVIEWED_EXPORTS/);
+  }
+
+  const fetched = await feed.handler({
+    httpMethod: 'GET',
+    headers: { authorization: `Basic ${Buffer.from('google:feed-pass').toString('base64')}` }
+  });
+  assert.equal(fetched.statusCode, 403);
+
+  const cron = JSON.parse((await scheduled.handler({})).body);
+  assert.equal(cron.runs[0].status, 'failed');
+  assert.match(cron.runs[0].error, /ALLOW_UNREVIEWED_EXPORTS/);
+});
+
+test('the JSON view still works without the opt-out', async () => {
+  const response = await sync.handler({ httpMethod: 'GET', queryStringParameters: { from: '2026-09-01', to: '2026-09-10' } });
+  assert.equal(response.statusCode, 200);
+});
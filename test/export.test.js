@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  STORE_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'export-test-')),
+  CLIENTS_FILE: path.join(__dirname, 'fixtures/clients.json')
+});
+
+const { prepareConversions } = require('../netlify/lib/export');
+const { ledgerKey, recordExports } = require('../netlify/lib/ledger');
+const { getClient } = require('../netlify/lib/clients');
+const { loadPricing } = require('../netlify/lib/pricing');
+
+test.after(() => fs.rmSync(process.env.STORE_DIR, { recursive: true, force: true }));
+
+// Click ages are checked against this, not the real clock
+const NOW = new Date('2026-09-20T12:00:00Z');
+
+const call = (id, day, phone) => ({
+  id,
+  start_time: `2026-09-${day}T10:00:00.000-07:00`,
+  customer_phone_number: phone,
+  gclid: `Cj0KCQ-${id}`,
+  lead_score: 90,
+  duration: 300
+});
+
+// The run that covered the prior call exported it with the caller's full value
+async function exportPrior(prior, client, pricing) {
+  const { conversions } = await prepareConversions([prior], pricing, client, { now: NOW });
+  await recordExports(conversions, 'csv');
+  return conversions[0].conversionValue;
+}
+
+test('last click restates an exported prior call to zero', async () => {
+  const client = { ...getClient(), attribution: { model: 'last_click', lookbackDays: 30, halfLifeDays: 7 } };
+  const pricing = await loadPricing(client);
+  const prior = call('CALP1', '01', '+15550000201');
+  const fullValue = await exportPrior(prior, client, pricing);
+
+  const { conversions, adjustments, stats } =
+    await prepareConversions([call('CALP2', '10', '+15550000201')], pricing, client, { priorCalls: [prior], now: NOW });
+
+  assert.deepEqual(conversions.map(c => [c.callId, c.conversionValue]), [['CALP2', fullValue]]);
+  assert.equal(stats.newConversions, 1);
+  assert.deepEqual(adjustments.map(a => [a.callId, a.adjustmentType, a.previousValue]), [['CALP1', 'RETRACTION', fullValue]]);
+});
+
+test('an even split restates an exported prior call to its share', async () => {
+  const client = { ...getClient(), attribution: { model: 'even', lookbackDays: 30, halfLifeDays: 7 } };
+  const pricing = await loadPricing(client);
+  const prior = call('CALQ1', '02', '+15550000202');
+  const fullValue = await exportPrior(prior, client, pricing);
+
+  const { conversions, adjustments } =
+    await prepareConversions([call('CALQ2', '11', '+15550000202')], pricing, client, { priorCalls: [prior], now: NOW });
+
+  assert.equal(conversions[0].conversionValue, fullValue / 2);
+  assert.deepEqual(adjustments.map(a => [a.callId, a.adjustmentType, a.adjustedValue]), [['CALQ1', 'RESTATEMENT', fullValue / 2]]);
+});
+
+test('prior calls that were never exported are left alone', async () => {
+  const client = { ...getClient(), attribution: { model: 'last_click', lookbackDays: 30, halfLifeDays: 7 } };
+  const pricing = await loadPricing(client);
+
+  const { conversions, adjustments } = await prepareConversions(
+    [call('CALR2', '12', '+15550000203')], pricing, client, { priorCalls: [call('CALR1', '03', '+15550000203')], now: NOW });
+
+  assert.deepEqual(conversions.map(c => c.callId), ['CALR2']);
+  assert.deepEqual(adjustments, []);
+});
+
+test('a row whose click aged out after it was exported still shows as exported', async () => {
+  const client = getClient();
+  const pricing = await loadPricing(client);
+  // Clicked 53 days before the call - fine then, 97 days old by October 15
+  const aged = { ...call('CALS1', '01', '+15550000204'), milestones: { last_touch: { event_date: '2026-07-10T12:00:00.000-07:00' } } };
+  const now = new Date('2026-10-15T12:00:00Z');
+
+  const fresh = await prepareConversions([aged], pricing, client, { now: NOW });
+  assert.equal(fresh.rejected.length, 0);
+
+  const before = await prepareConversions([aged], pricing, client, { now });
+  assert.equal(before.rejected.length, 1);
+  assert.equal(before.exported[ledgerKey(before.rejected[0])], undefined);
+
+  await recordExports(before.rejected, 'upload');
+  const { rejected, exported, adjustments } = await prepareConversions([aged], pricing, client, { now });
+  assert.equal(rejected[0].rejection.reason, 'expired_click');
+  assert.equal(exported[ledgerKey(rejected[0])].via, 'upload');
+  assert.deepEqual(adjustments, []);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Local stand-in for the Measurement Protocol endpoint
+const received = [];
+let failClientId = null;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://localhost');
+    const payload = JSON.parse(body);
+    received.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), payload });
+    // Google answers 204 with no body when it takes an event
+    res.writeHead(payload.client_id === failClientId ? 500 : 204);
+    res.end();
+  });
+});
+
+let sendGa4Events, validateGa4;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.GA4_MP_URL = `http://127.0.0.1:${server.address().port}/mp/collect`;
+  ({ sendGa4Events, validateGa4 } = require('../netlify/lib/ga4'));
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+test.beforeEach(() => {
+  received.length = 0;
+  failClientId = null;
+});
+
+const GA4 = { measurementId: 'G-TEST123', apiSecret: 'mp-secret' };
+const NOW = new Date('2026-09-05T12:00:00Z');
+
+const row = (callId, conversionTime, gaClientId) => ({
+  callId,
+  conversionTime,
+  conversionValue: 1500,
+  currency: 'USD',
+  tier: 'very_good',
+  product: '50',
+  ...(gaClientId && { gaClientId })
+});
+
+test('events go to the stand-in under the visitor\'s client ID', async () => {
+  const result = await sendGa4Events([
+    row('CAL001', '2026-09-04 10:00:00-0700', '1234567890.1693000000'),
+    row('CAL002', '2026-08-01 10:00:00-0700', '2222222222.1690000000')
+  ], GA4, { now: NOW });
+
+  assert.deepEqual([result.sent, result.failed, result.fallbackClientIds], [2, 0, 0]);
+  assert.equal(received.length, 2);
+
+  const recent = received.find(r => r.payload.client_id === '1234567890.1693000000');
+  assert.equal(recent.path, '/mp/collect');
+  assert.deepEqual(recent.query, { measurement_id: 'G-TEST123', api_secret: 'mp-secret' });
+  assert.equal(recent.payload.timestamp_micros, new Date('2026-09-04T17:00:00Z').getTime() * 1000);
+  assert.deepEqual(recent.payload.events, [{
+    name: 'phone_conversion',
+    params: { value: 1500, currency: 'USD', tier: 'very_good', product: '50' }
+  }]);
+
+  // Past GA4's 72-hour backdating limit - recorded when sent
+  const old = received.find(r => r.payload.client_id === '2222222222.1690000000');
+  assert.equal(old.payload.timestamp_micros, undefined);
+  assert.equal(result.results.find(r => r.callId === 'CAL002').recordedAt, 'sent');
+});
+
+test('calls without a GA client ID are sent under a made-up one and counted', async () => {
+  const result = await sendGa4Events([
+    row('CAL003', '2026-09-04 10:00:00-0700'),
+    row('CAL004', '2026-09-04 11:00:00-0700', '4444444444.1693000000')
+  ], { ...GA4, eventName: 'qualified_call' }, { now: NOW });
+
+  assert.deepEqual([result.sent, result.fallbackClientIds, result.skipped], [2, 1, 0]);
+  const fallback = result.results.find(r => r.callId === 'CAL003');
+  assert.equal(fallback.clientIdSource, 'call');
+  assert.match(fallback.clientId, /^\d+\.\d+$/);
+  assert.ok(received.every(r => r.payload.events[0].name === 'qualified_call'));
+});
+
+test('skipWithoutClientId leaves those calls out', async () => {
+  const result = await sendGa4Events([
+    row('CAL005', '2026-09-04 10:00:00-0700'),
+    row('CAL006', '2026-09-04 11:00:00-0700', '6666666666.1693000000')
+  ], { ...GA4, skipWithoutClientId: true }, { now: NOW });
+
+  assert.deepEqual([result.sent, result.skipped, result.fallbackClientIds], [1, 1, 0]);
+  assert.deepEqual(received.map(r => r.payload.client_id), ['6666666666.1693000000']);
+  assert.equal(result.results.find(r => r.callId === 'CAL005').status, 'skipped');
+});
+
+test('a refused event is reported as failed', async () => {
+  failClientId = '7777777777.1693000000';
+  const result = await sendGa4Events([
+    row('CAL007', '2026-09-04 10:00:00-0700', failClientId),
+    row('CAL008', '2026-09-04 11:00:00-0700', '8888888888.1693000000')
+  ], GA4, { now: NOW });
+
+  assert.deepEqual([result.sent, result.failed], [1, 1]);
+  assert.match(result.results.find(r => r.callId === 'CAL007').error, /GA4 error: 500/);
+});
+
+test('configuration is checked', async () => {
+  await assert.rejects(sendGa4Events([], { measurementId: 'G-TEST123' }), /missing apiSecret/);
+  assert.deepEqual(validateGa4({ measurementId: 'G-TEST123', eventName: 'qualified_call', skipWithoutClientId: true }), []);
+  assert.equal(validateGa4({ measurementId: 'UA-1', eventName: 'ga_call', skipWithoutClientId: 'yes' }).length, 3);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Local stand-in for Google's OAuth and Google Ads endpoints
+const seen = { tokens: 0, searches: 0, uploads: [] };
+let failUploadNumber = null;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const reply = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.url === '/token') {
+      seen.tokens++;
+      assert.match(body, /grant_type=refresh_token/);
+      return reply(200, { access_token: 'access-1' });
+    }
+
+    assert.equal(req.headers.authorization, 'Bearer access-1');
+    assert.equal(req.headers['developer-token'], 'dev-token');
+
+    if (req.url === '/customers/1234567890/googleAds:search') {
+      seen.searches++;
+      return reply(200, { results: [
+        { conversionAction: { name: 'Phone Call', resourceName: 'customers/1234567890/conversionActions/1' } }
+      ] });
+    }
+
+    if (req.url === '/customers/1234567890:uploadClickConversions') {
+      const { conversions, partialFailure } = JSON.parse(body);
+      seen.uploads.push(conversions);
+      assert.equal(partialFailure, true);
+      if (seen.uploads.length === failUploadNumber) {
+        return reply(500, { error: { message: 'Internal error' } });
+      }
+      // Reject every conversion whose GCLID ends in "bad", by its index in this request
+      const errors = conversions
+        .map((c, index) => ({ c, index }))
+        .filter(({ c }) => /bad$/.test(c.gclid || ''))
+        .map(({ index }) => ({
+          message: 'The click is too old.',
+          location: { fieldPathElements: [{ fieldName: 'conversions', index }, { fieldName: 'gclid' }] }
+        }));
+      return reply(200, errors.length ? { partialFailureError: { details: [{ errors }] } } : {});
+    }
+
+    reply(404, { error: { message: `Unexpected ${req.url}` } });
+  });
+});
+
+let uploadClickConversions;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    GOOGLE_ADS_API_URL: base,
+    GOOGLE_OAUTH_TOKEN_URL: `${base}/token`,
+    GOOGLE_ADS_DEVELOPER_TOKEN: 'dev-token',
+    GOOGLE_ADS_CLIENT_ID: 'client',
+    GOOGLE_ADS_CLIENT_SECRET: 'secret',
+    GOOGLE_ADS_REFRESH_TOKEN: 'refresh'
+  });
+  ({ uploadClickConversions } = require('../netlify/lib/google-ads'));
+});
+
+test.after(() => server.close());
+
+test.beforeEach(() => {
+  Object.assign(seen, { tokens: 0, searches: 0, uploads: [] });
+  failUploadNumber = null;
+});
+
+const row = (n, overrides = {}) => ({
+  callId: `CAL${n}`,
+  clickIdType: 'gclid',
+  clickId: `gclid-${n}`,
+  conversionName: 'Phone Call',
+  conversionTime: '2026-09-01 15:00:00-0700',
+  conversionValue: 100,
+  currency: 'USD',
+  ...overrides
+});
+
+test('uploads rows and maps partial failures back to them', async () => {
+  const rows = [row(1), row(2, { clickId: 'gclid-bad' }), row(3, { conversionName: 'Missing Action' }), row(4)];
+  const { uploaded, failed, results } = await uploadClickConversions(rows, '1234567890');
+
+  assert.equal(uploaded, 2);
+  assert.equal(failed, 2);
+  assert.deepEqual(results.map(r => r.status), ['uploaded', 'failed', 'failed', 'uploaded']);
+  assert.equal(results[1].error, 'The click is too old.');
+  assert.match(results[2].error, /Missing Action" not found/);
+
+  // The unknown action never went to Google; times use the API's offset format
+  assert.equal(seen.uploads.length, 1);
+  assert.deepEqual(seen.uploads[0].map(c => c.gclid), ['gclid-1', 'gclid-bad', 'gclid-4']);
+  assert.equal(seen.uploads[0][0].conversionDateTime, '2026-09-01 15:00:00-07:00');
+  assert.equal(seen.uploads[0][0].conversionAction, 'customers/1234567890/conversionActions/1');
+});
+
+test('splits uploads over 2000 rows and keeps failure indexes per request', async () => {
+  const rows = Array.from({ length: 4500 }, (_, i) => row(i, i === 2001 || i === 4499 ? { clickId: `gclid-${i}-bad` } : {}));
+  const { uploaded, failed, results } = await uploadClickConversions(rows, '1234567890');
+
+  assert.deepEqual(seen.uploads.map(u => u.length), [2000, 2000, 500]);
+  assert.equal(seen.tokens, 1);
+  assert.equal(seen.searches, 1);
+  assert.equal(failed, 2);
+  assert.equal(uploaded, 4498);
+  assert.deepEqual(results.filter(r => r.status === 'failed').map(r => r.callId), ['CAL2001', 'CAL4499']);
+});
+
+test('a failed later request fails only its own rows', async () => {
+  failUploadNumber = 2;
+  const rows = Array.from({ length: 2500 }, (_, i) => row(i));
+  const { uploaded, failed, results } = await uploadClickConversions(rows, '1234567890');
+
+  assert.equal(uploaded, 2000);
+  assert.equal(failed, 500);
+  assert.match(results[2400].error, /Google Ads API error: 500 Internal error/);
+});
+
+test('a failed first request throws', async () => {
+  failUploadNumber = 1;
+  await assert.rejects(uploadClickConversions([row(1)], '1234567890'), /Google Ads API error: 500/);
+});
+
+test('needs credentials and a customer ID', async () => {
+  await assert.rejects(uploadClickConversions([row(1)], ''), /missing customerId/);
+});
@@ -0,0 +1,62 @@
+/**
+ * CallRail API stand-in for tests
+ *
+ *   const requests = stubCallRail(calls, { pageSize, pagination, rateLimited, retryAfter });
+ *
+ * Replaces global.fetch: serves `calls` whose start date falls in each
+ * request's start_date..end_date, pageSize at a time, with offset
+ * (total_pages) or relative (next_page) pagination. The first
+ * `rateLimited` requests get a 429. Returns the requests it saw;
+ * restoreFetch() puts the real fetch back.
+ */
+
+const realFetch = global.fetch;
+
+function stubCallRail(calls, { pageSize = 2, pagination = 'offset', rateLimited = 0, retryAfter = '0' } = {}) {
+  const requests = [];
+  global.fetch = async (url, options = {}) => {
+    url = new URL(url);
+    requests.push({ url, headers: options.headers });
+    if (rateLimited > 0) {
+      rateLimited--;
+      return jsonResponse(429, {}, { 'retry-after': retryAfter });
+    }
+
+    const start = url.searchParams.get('start_date');
+    const end = url.searchParams.get('end_date');
+    const page = parseInt(url.searchParams.get('page')) || 1;
+    const matching = calls.filter(call => {
+      const day = new Date(call.start_time).toISOString().slice(0, 10);
+      return day >= start && day <= end;
+    });
+    const totalPages = Math.max(1, Math.ceil(matching.length / pageSize));
+    const body = { page, total_pages: totalPages, calls: matching.slice((page - 1) * pageSize, page * pageSize) };
+    if (pagination === 'relative') {
+      delete body.total_pages;
+      if (page < totalPages) {
+        const next = new URL(url);
+        next.searchParams.set('page', String(page + 1));
+        body.next_page = next.toString();
+      }
+    }
+    return jsonResponse(200, body);
+  };
+  return requests;
+}
+
+function jsonResponse(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 429 ? 'Too Many Requests' : 'OK',
+    headers: { get: name => headers[name.toLowerCase()] ?? null },
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  };
+}
+
+function restoreFetch() {
+  global.fetch = realFetch;
+}
+
+module.exports = { stubCallRail, jsonResponse, restoreFetch };
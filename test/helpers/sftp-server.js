@@ -0,0 +1,87 @@
+/**
+ * SFTP server stand-in for tests
+ *
+ *   const sftp = await startSftpServer({ username, password });   // sftp.port, sftp.files
+ *   await sftp.close();
+ *
+ * An in-memory SSH server (the ssh2 package ssh2-sftp-client is built
+ * on) that accepts one username / password and keeps every file written
+ * to it in `files`, a Map of remote path → contents.
+ */
+
+const crypto = require('crypto');
+const { Server, utils: { sftp: { STATUS_CODE } } } = require('ssh2');
+
+async function startSftpServer({ username, password }) {
+  const files = new Map();
+  const connections = new Set();
+  const { privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+    publicKeyEncoding: { type: 'pkcs1', format: 'pem' }
+  });
+
+  const server = new Server({ hostKeys: [privateKey] }, connection => {
+    connections.add(connection);
+    connection.on('close', () => connections.delete(connection));
+    connection.on('error', () => {});
+
+    connection.on('authentication', ctx => {
+      if (ctx.method === 'password' && ctx.username === username && ctx.password === password) {
+        return ctx.accept();
+      }
+      ctx.reject(['password']);
+    });
+
+    connection.on('ready', () => {
+      connection.on('session', accept => {
+        accept().on('sftp', accept => serveFiles(accept(), files));
+      });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    files,
+    close: () => {
+      for (const connection of connections) connection.end();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Write-only: open, write and close are all an upload needs
+function serveFiles(sftp, files) {
+  const open = new Map();
+  let nextHandle = 0;
+
+  sftp.on('OPEN', (reqid, filename) => {
+    const handle = Buffer.alloc(4);
+    handle.writeUInt32BE(nextHandle++);
+    open.set(handle.toString('hex'), { filename, chunks: [] });
+    sftp.handle(reqid, handle);
+  });
+
+  sftp.on('WRITE', (reqid, handle, offset, data) => {
+    const file = open.get(handle.toString('hex'));
+    if (!file) return sftp.status(reqid, STATUS_CODE.FAILURE);
+    file.chunks.push(Buffer.from(data));
+    sftp.status(reqid, STATUS_CODE.OK);
+  });
+
+  sftp.on('CLOSE', (reqid, handle) => {
+    const file = open.get(handle.toString('hex'));
+    if (!file) return sftp.status(reqid, STATUS_CODE.FAILURE);
+    open.delete(handle.toString('hex'));
+    files.set(file.filename, Buffer.concat(file.chunks).toString('utf8'));
+    sftp.status(reqid, STATUS_CODE.OK);
+  });
+
+  for (const request of ['FSTAT', 'FSETSTAT', 'STAT', 'LSTAT', 'SETSTAT', 'REALPATH', 'OPENDIR', 'READDIR', 'READ', 'REMOVE', 'RENAME', 'MKDIR', 'RMDIR']) {
+    sftp.on(request, reqid => sftp.status(reqid, STATUS_CODE.OP_UNSUPPORTED));
+  }
+}
+
+module.exports = { startSftpServer };
@@ -0,0 +1,83 @@
+/**
+ * SMTP server stand-in for tests
+ *
+ *   const smtp = await startSmtpServer();   // smtp.port, smtp.messages
+ *   await smtp.close();
+ *
+ * Speaks just enough plain SMTP (no TLS, no auth) for nodemailer to hand
+ * over a message. Each accepted message is kept as { from, to, data }
+ * with data the raw message text.
+ */
+
+const net = require('net');
+
+async function startSmtpServer() {
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+    const reply = line => socket.write(line + '\r\n');
+
+    reply('220 localhost stand-in');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push({ ...envelope, data: data.join('\r\n') });
+            envelope = { from: null, to: [] };
+            data = null;
+            reply('250 Queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 localhost');
+        } else if (command === 'MAIL') {
+          envelope.from = line.match(/<(.*)>/)?.[1];
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          envelope.to.push(line.match(/<(.*)>/)?.[1]);
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    messages,
+    close: () => {
+      for (const socket of sockets) socket.destroy();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startSmtpServer };
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+
+const { ledgerKey, lookupExports, recordExports, findAdjustments, recordAdjustments } = require('../netlify/lib/ledger');
+const { openStore } = require('../netlify/lib/store');
+
+test.after(() => fs.rmSync(process.env.STORE_DIR, { recursive: true, force: true }));
+
+const row = (callId, overrides = {}) => ({
+  callId,
+  clickIdType: 'gclid',
+  clickId: `Cj0KCQ-${callId}`,
+  conversionName: 'Phone Call',
+  conversionTime: '2026-09-01 15:00:00-0700',
+  conversionValue: 1500,
+  currency: 'USD',
+  pricingVersion: 1,
+  ...overrides
+});
+
+test('a row counts as exported under the action it was exported as', async () => {
+  await recordExports([row('CALA1')], 'csv');
+
+  const exported = await lookupExports([row('CALA1')]);
+  assert.equal(exported[ledgerKey(row('CALA1'))].conversionName, 'Phone Call');
+  assert.deepEqual(findAdjustments([row('CALA1')], exported), []);
+});
+
+test('a main action change is exported again and the old action retracted', async () => {
+  await recordExports([row('CALB1')], 'upload');
+  const upgraded = row('CALB1', { conversionName: 'Sale', conversionValue: 3500 });
+
+  // Due again under the new action
+  assert.deepEqual(await lookupExports([upgraded]), {});
+  assert.equal(await recordExports([upgraded], 'upload'), 1);
+
+  const entry = await openStore('export-ledger').get(ledgerKey(upgraded));
+  assert.equal(entry.conversionName, 'Sale');
+  assert.equal(entry.value, 3500);
+  assert.deepEqual(entry.movedFrom.map(m => [m.conversionName, m.value]), [['Phone Call', 1500]]);
+
+  const exported = await lookupExports([upgraded]);
+  const adjustments = findAdjustments([upgraded], exported);
+  assert.equal(adjustments.length, 1);
+  assert.equal(adjustments[0].adjustmentType, 'RETRACTION');
+  assert.equal(adjustments[0].conversionName, 'Phone Call');
+  assert.equal(adjustments[0].conversionTime, '2026-09-01 15:00:00-0700');
+
+  // Once retracted, the old action is left alone and the new one is untouched
+  await recordAdjustments(adjustments);
+  const after = await openStore('export-ledger').get(ledgerKey(upgraded));
+  assert.ok(after.movedFrom[0].retractedAt);
+  assert.equal(after.value, 3500);
+  assert.equal(after.retractedAt, undefined);
+  assert.deepEqual(findAdjustments([upgraded], await lookupExports([upgraded])), []);
+});
+
+test('a $0 row retracts the main action it was exported under', async () => {
+  await recordExports([row('CALE1', { conversionName: 'Sale' })], 'csv');
+  const zeroed = { callId: 'CALE1', clickIdType: 'gclid', clickId: 'Cj0KCQ-CALE1', conversionValue: 0, currency: 'USD' };
+
+  const adjustments = findAdjustments([zeroed], await lookupExports([zeroed]));
+  assert.deepEqual(adjustments.map(a => [a.adjustmentType, a.conversionName]), [['RETRACTION', 'Sale']]);
+});
+
+test('an action change on a row Google Ads refused needs no retraction', async () => {
+  await recordExports([row('CALC1')], 'upload');
+  const store = openStore('export-ledger');
+  const key = ledgerKey(row('CALC1'));
+  await store.set(key, { ...await store.get(key), failure: { category: 'other', error: 'Refused', fixable: false } });
+
+  await recordExports([row('CALC1', { conversionName: 'Sale' })], 'upload');
+  const entry = await store.get(key);
+  assert.equal(entry.conversionName, 'Sale');
+  assert.equal(entry.movedFrom, undefined);
+  assert.equal(entry.failures.length, 1);
+});
+
+test('secondary rows and GA4 events are keyed apart from the main action', async () => {
+  const secondary = row('CALD1', { conversionName: 'Qualified Call', secondary: true });
+  await recordExports([row('CALD1'), secondary], 'csv');
+  await recordExports([row('CALD1')], 'ga4', 'ga4');
+
+  const renamed = row('CALD1', { conversionName: 'Sale' });
+  assert.ok((await lookupExports([secondary]))[ledgerKey(secondary)]);
+  assert.ok((await lookupExports([renamed], 'ga4'))[ledgerKey(renamed, 'ga4')]);
+});
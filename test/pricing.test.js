@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-test-'));
+delete process.env.PRICING_FILE;
+
+const { loadPricing, savePricing, getPricingVersion, listPricingVersions } = require('../netlify/lib/pricing');
+const bundled = require('../config/pricing.json');
+
+const main = { id: 'main', isDefault: true };
+const registry = pricing => ({ id: 'phone-lead', isDefault: false, pricing });
+
+test.after(() => fs.rmSync(process.env.STORE_DIR, { recursive: true, force: true }));
+
+test('the bundled price list is stored as the version it reports', async () => {
+  const pricing = await loadPricing(main);
+  assert.equal(pricing.version, 1);
+
+  const stored = await getPricingVersion(main, 1);
+  assert.deepEqual(stored.products, bundled.products);
+  assert.equal(stored.updatedBy, 'config/pricing.json');
+
+  // Loading again doesn't mint another version
+  assert.equal((await loadPricing(main)).version, 1);
+  assert.equal((await listPricingVersions(main)).length, 1);
+});
+
+test('a changed registry price list gets a version of its own', async () => {
+  const { version, ...prices } = bundled;
+  const first = await loadPricing(registry(prices));
+  const raised = { ...prices, products: { ...prices.products, default: 3900 } };
+  const second = await loadPricing(registry(raised));
+
+  assert.deepEqual([first.version, second.version], [1, 2]);
+  assert.equal((await getPricingVersion(registry(raised), 1)).products.default, prices.products.default);
+  assert.equal((await getPricingVersion(registry(raised), 2)).products.default, 3900);
+});
+
+test('saves at the same time never share a version', async () => {
+  const { version, ...prices } = bundled;
+  const saves = await Promise.all(['ana', 'ben', 'cy'].map((user, i) =>
+    savePricing(main, { ...prices, products: { ...prices.products, default: 4000 + i } }, user)));
+
+  assert.deepEqual(saves.map(s => s.version).sort(), [2, 3, 4]);
+  for (const saved of saves) {
+    assert.equal((await getPricingVersion(main, saved.version)).updatedBy, saved.updatedBy);
+  }
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  STORE_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'scheduled-test-')),
+  CLIENTS_FILE: path.join(__dirname, 'fixtures/clients.json'),
+  CALLRAIL_API_KEY: 'test-key',
+  CALLRAIL_ACCOUNT_ID: 'ACC1',
+  EXPORT_DELIVERY: 'sftp,email',
+  ALLOW_UNREVIEWED_EXPORTS: 'true',
+  SMTP_HOST: '127.0.0.1',
+  EXPORT_EMAIL_FROM: 'exports@example.com',
+  SFTP_HOST: '127.0.0.1',
+  SFTP_USERNAME: 'google',
+  SFTP_PASSWORD: 'sftp-pass'
+});
+delete process.env.EXPORT_EMAIL_TO;
+
+const { startSmtpServer } = require('./helpers/smtp-server');
+const { startSftpServer } = require('./helpers/sftp-server');
+const { stubCallRail, restoreFetch } = require('./helpers/callrail-stub');
+const { handler } = require('../netlify/functions/scheduled-export');
+
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+const CALLS = [
+  { id: 'CALS01', start_time: hoursAgo(30), customer_phone_number: '+15550000101', gclid: 'Cj0KCQ-s1', lead_score: 90, duration: 400 },
+  { id: 'CALS02', start_time: hoursAgo(6), customer_phone_number: '+15550000102', gclid: 'Cj0KCQ-s2', lead_score: 85, duration: 300 }
+];
+
+const run = async () => JSON.parse((await handler({})).body).runs[0];
+
+let smtp;
+let sftp;
+
+test.before(async () => {
+  smtp = await startSmtpServer();
+  sftp = await startSftpServer({ username: 'google', password: 'sftp-pass' });
+  process.env.SMTP_PORT = String(smtp.port);
+  process.env.SFTP_PORT = String(sftp.port);
+  stubCallRail(CALLS, { pageSize: 10 });
+});
+
+test.after(async () => {
+  restoreFetch();
+  await smtp.close();
+  await sftp.close();
+  fs.rmSync(process.env.STORE_DIR, { recursive: true, force: true });
+});
+
+test('after a partial run only the failed targets get the rows again', async () => {
+  // Email isn't configured yet - SFTP gets the file, the ledger doesn't
+  const partial = await run();
+  assert.equal(partial.status, 'partial');
+  assert.deepEqual(partial.deliveries.map(d => d.status), ['delivered', 'failed']);
+  assert.equal(partial.newConversions, 2);
+  assert.equal(sftp.files.size, 1);
+
+  process.env.EXPORT_EMAIL_TO = 'ads@example.com';
+  const delivered = await run();
+  assert.equal(delivered.status, 'delivered');
+  assert.equal(delivered.newConversions, 2);
+  assert.equal(smtp.messages.length, 1);
+  // SFTP already had them - no second file
+  assert.deepEqual(delivered.deliveries.map(d => [d.target, d.rows]), [['sftp', 0], ['email', 2]]);
+  assert.equal(sftp.files.size, 1);
+
+  const again = await run();
+  assert.equal(again.status, 'nothing_new');
+  assert.equal(again.alreadyExported, 2);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  STORE_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'sync-test-')),
+  CLIENTS_FILE: path.join(__dirname, 'fixtures/clients.json'),
+  AUTH_DISABLED: 'true',
+  ALLOW_UNREVIEWED_EXPORTS: 'true',
+  CALLRAIL_API_KEY: 'test-key',
+  CALLRAIL_ACCOUNT_ID: 'ACC1'
+});
+
+const fixture = require('./fixtures/callrail-calls.json');
+const { stubCallRail, jsonResponse, restoreFetch } = require('./helpers/callrail-stub');
+const { handler } = require('../netlify/functions/sync-gads-conversions');
+
+const WINDOW = { from: '2026-09-01', to: '2026-09-10' };
+
+// Serves the first 7-day chunk, then rate limits for longer than the budget
+function stubTruncatingCallRail() {
+  stubCallRail(fixture, { pageSize: 10 });
+  const serve = global.fetch;
+  let served = 0;
+  global.fetch = async (url, options) => served++ ? jsonResponse(429, {}, { 'retry-after': '60' }) : serve(url, options);
+}
+
+test.afterEach(restoreFetch);
+test.after(() => fs.rmSync(process.env.STORE_DIR, { recursive: true, force: true }));
+
+test('a truncated CSV download says so in its headers', async () => {
+  stubTruncatingCallRail();
+  const response = await handler({ httpMethod: 'GET', queryStringParameters: { ...WINDOW, format: 'csv', onlyNew: 'true' } });
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['X-Truncated'], 'rate_limited');
+  assert.equal(response.headers['X-Resume-From'], '2026-09-08');
+  const resume = new URL(response.headers['X-Resume-Url'], 'http://localhost');
+  assert.equal(resume.searchParams.get('resumeFrom'), '2026-09-08');
+  assert.equal(resume.searchParams.get('format'), 'csv');
+  assert.equal(resume.searchParams.get('onlyNew'), 'true');
+  // The original end is pinned, not recomputed from "now"
+  assert.equal(resume.searchParams.get('to'), '2026-09-11T07:00:00.000Z');
+  assert.match(response.body, /Cj0KCQ-one/);
+  assert.doesNotMatch(response.body, /Cj0KCQ-four/);
+});
+
+test('a complete CSV download has no truncation headers', async () => {
+  stubCallRail(fixture, { pageSize: 10 });
+  const response = await handler({ httpMethod: 'GET', queryStringParameters: { ...WINDOW, format: 'csv' } });
+
+  assert.equal(response.headers['X-Truncated'], undefined);
+  assert.match(response.body, /Cj0KCQ-four/);
+});
+
+test('links from a resumed run keep its resumeFrom and end', async () => {
+  stubCallRail(fixture, { pageSize: 10 });
+  const response = await handler({ httpMethod: 'GET', queryStringParameters: {
+    from: '2026-09-01T07:00:00.000Z', to: '2026-09-11T07:00:00.000Z', resumeFrom: '2026-09-08'
+  } });
+  const body = JSON.parse(response.body);
+
+  assert.equal(body.dateRange.from, '2026-09-08T00:00:00.000Z');
+  for (const link of [body.csvUrl, body.adjustmentsUrl]) {
+    const url = new URL(link, 'http://localhost');
+    assert.equal(url.searchParams.get('resumeFrom'), '2026-09-08');
+    assert.equal(url.searchParams.get('to'), '2026-09-11T07:00:00.000Z');
+  }
+  assert.deepEqual(body.conversions.map(c => c.clickId.replace('...', '')).sort(), ['Cj0KCQ-five', 'Cj0KCQ-four']);
+});
+
+test('the JSON view of a truncated run links to the rest of the window', async () => {
+  stubTruncatingCallRail();
+  const response = await handler({ httpMethod: 'GET', queryStringParameters: WINDOW });
+  const body = JSON.parse(response.body);
+
+  assert.equal(body.stats.truncated, true);
+  const resume = new URL(body.resumeUrl, 'http://localhost');
+  assert.equal(resume.searchParams.get('resumeFrom'), '2026-09-08');
+  assert.equal(resume.searchParams.get('to'), '2026-09-11T07:00:00.000Z');
+});
+
+test('a malformed preview body is a 400, before CallRail is asked', async () => {
+  const requests = stubCallRail(fixture);
+  const response = await handler({ httpMethod: 'POST', queryStringParameters: { ...WINDOW, format: 'preview' }, body: '{"pricing":' });
+
+  assert.equal(response.statusCode, 400);
+  assert.match(JSON.parse(response.body).error, /not valid JSON/);
+  assert.equal(requests.length, 0);
+});
+
+test('CallRail answering with an HTML page is our error, not the caller\'s', async () => {
+  global.fetch = async () => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    json: async () => JSON.parse('<html>Maintenance</html>')
+  });
+  const response = await handler({ httpMethod: 'GET', queryStringParameters: WINDOW });
+
+  assert.equal(response.statusCode, 500);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatGoogleAdsTime, parseZonedTime } = require('../netlify/lib/conversions');
+
+test('Phoenix is UTC-7 all year', () => {
+  assert.equal(formatGoogleAdsTime('2026-01-15T19:30:00Z', 'America/Phoenix'), '2026-01-15 12:30:00-0700');
+  assert.equal(formatGoogleAdsTime('2026-07-15T19:30:00Z', 'America/Phoenix'), '2026-07-15 12:30:00-0700');
+});
+
+test('defaults to America/Phoenix', () => {
+  assert.equal(formatGoogleAdsTime('2026-01-15T19:30:00Z'), '2026-01-15 12:30:00-0700');
+});
+
+test('DST start: the offset changes at 2am local', () => {
+  // 2026-03-08 is the second Sunday of March
+  assert.equal(formatGoogleAdsTime('2026-03-08T09:59:59Z', 'America/Los_Angeles'), '2026-03-08 01:59:59-0800');
+  assert.equal(formatGoogleAdsTime('2026-03-08T10:00:00Z', 'America/Los_Angeles'), '2026-03-08 03:00:00-0700');
+});
+
+test('DST end: the repeated hour keeps its own offset', () => {
+  // 2026-11-01 is the first Sunday of November - 1am happens twice
+  assert.equal(formatGoogleAdsTime('2026-11-01T08:30:00Z', 'America/Los_Angeles'), '2026-11-01 01:30:00-0700');
+  assert.equal(formatGoogleAdsTime('2026-11-01T09:30:00Z', 'America/Los_Angeles'), '2026-11-01 01:30:00-0800');
+});
+
+test('calls near midnight land on the local date', () => {
+  // Just after UTC midnight is still the previous evening in Phoenix
+  assert.equal(formatGoogleAdsTime('2026-05-02T06:59:59Z', 'America/Phoenix'), '2026-05-01 23:59:59-0700');
+  assert.equal(formatGoogleAdsTime('2026-05-02T07:00:00Z', 'America/Phoenix'), '2026-05-02 00:00:00-0700');
+  // ...and the next morning east of UTC
+  assert.equal(formatGoogleAdsTime('2026-05-01T22:00:00Z', 'Asia/Tokyo'), '2026-05-02 07:00:00+0900');
+});
+
+test('half-hour offsets', () => {
+  assert.equal(formatGoogleAdsTime('2026-05-01T12:00:00Z', 'Asia/Kolkata'), '2026-05-01 17:30:00+0530');
+});
+
+test('rejects an invalid call time', () => {
+  assert.throws(() => formatGoogleAdsTime('not a date'), /Invalid call time/);
+});
+
+test('parseZonedTime reads dates as midnight in the zone', () => {
+  assert.equal(parseZonedTime('2026-05-02', 'America/Phoenix').toISOString(), '2026-05-02T07:00:00.000Z');
+  assert.equal(parseZonedTime('2026-05-02T08:30', 'America/New_York').toISOString(), '2026-05-02T12:30:00.000Z');
+});
+
+test('parseZonedTime settles the offset across DST changes', () => {
+  assert.equal(parseZonedTime('2026-03-08T01:30', 'America/Los_Angeles').toISOString(), '2026-03-08T09:30:00.000Z');
+  assert.equal(parseZonedTime('2026-03-08T03:30', 'America/Los_Angeles').toISOString(), '2026-03-08T10:30:00.000Z');
+  assert.equal(parseZonedTime('2026-03-09', 'America/Los_Angeles').toISOString(), '2026-03-09T07:00:00.000Z');
+});
+
+test('parseZonedTime round-trips through formatGoogleAdsTime', () => {
+  const date = parseZonedTime('2026-12-31T23:59:59', 'America/Denver');
+  assert.equal(formatGoogleAdsTime(date.toISOString(), 'America/Denver'), '2026-12-31 23:59:59-0700');
+});
+
+test('parseZonedTime takes explicit offsets as-is', () => {
+  assert.equal(parseZonedTime('2026-05-02T08:30:00Z', 'Asia/Tokyo').toISOString(), '2026-05-02T08:30:00.000Z');
+  assert.ok(isNaN(parseZonedTime('nope', 'America/Phoenix')));
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'results-test-'));
+
+const { importUploadResults } = require('../netlify/lib/upload-results');
+const { ledgerKey, lookupExports, recordExports, findByClickIds } = require('../netlify/lib/ledger');
+const { openStore } = require('../netlify/lib/store');
+
+const RESULTS = fs.readFileSync(path.join(__dirname, 'fixtures/google-upload-results.csv'), 'utf8');
+const client = { id: 'main' };
+const user = { name: 'reviewer' };
+
+const row = (callId, clickId, overrides = {}) => ({
+  callId,
+  clickIdType: 'gclid',
+  clickId,
+  conversionName: 'Phone Call',
+  conversionTime: '2026-09-01 15:00:00-0700',
+  conversionValue: 1500,
+  currency: 'USD',
+  campaign: 'Boats - Search',
+  source: 'Google Ads',
+  ...overrides
+});
+
+test.after(() => fs.rmSync(process.env.STORE_DIR, { recursive: true, force: true }));
+
+test.before(async () => {
+  // Exported before the click index existed - only the ledger has it
+  await openStore('export-ledger').set('CALLEG:Cj0KCQ-legacy', {
+    callId: 'CALLEG', gclid: 'Cj0KCQ-legacy', conversionName: 'Phone Call',
+    conversionTime: '2026-08-20 13:00:00-0700', value: 2000, exportedAt: '2026-08-21T00:00:00.000Z', via: 'csv'
+  });
+
+  await recordExports([
+    row('CAL001', 'Cj0KCQ-ok'),
+    row('CAL002', 'Cj0KCQ-action'),
+    row('CAL003', 'Cj0KCQ-old', { campaign: 'Engines - PMax' }),
+    row('CAL004', 'Cj0KCQ-dup'),
+    row('CAL006', 'Cj0KCQ-sale', { conversionName: 'Sale' }),
+    row('CAL006', 'Cj0KCQ-sale', { conversionName: 'Qualified Call', secondary: true })
+  ], 'upload');
+});
+
+test('a results file is matched to the ledger through the click index', async () => {
+  const record = await importUploadResults(client, RESULTS, { user, fileName: 'results.csv' });
+  const byClick = Object.fromEntries(record.results.map(r => [`${r.clickId}|${r.conversionName}`, r]));
+
+  assert.equal(record.rows, 9);
+  assert.equal(record.matched, 7);
+  assert.equal(record.failed, 3);
+  assert.equal(record.reexportable, 2);
+
+  assert.equal(byClick['Cj0KCQ-ok|Phone Call'].status, 'accepted');
+  assert.equal(byClick['Cj0KCQ-dup|Phone Call'].status, 'accepted');
+  assert.equal(byClick['Cj0KCQ-legacy|Phone Call'].callId, 'CALLEG');
+  assert.equal(byClick['Cj0KCQ-sale|Sale'].status, 'accepted');
+
+  // "Not in ledger"
+  const stranger = byClick['Cj0KCQ-stranger|Phone Call'];
+  assert.equal(stranger.status, 'unmatched');
+  assert.equal(stranger.campaign, '(not in ledger)');
+  // A secondary row the ledger never had
+  assert.equal(byClick['Cj0KCQ-legacy|Qualified Call'].status, 'unmatched');
+
+  // "Failed"
+  assert.deepEqual(
+    ['Cj0KCQ-action|Phone Call', 'Cj0KCQ-old|Phone Call', 'Cj0KCQ-sale|Qualified Call']
+      .map(k => [byClick[k].status, byClick[k].category, byClick[k].fixable]),
+    [['failed', 'conversion_action', true], ['failed', 'expired_click', false], ['failed', 'transient', true]]
+  );
+  assert.equal(record.byCampaign['Engines - PMax'].failed, 1);
+  assert.equal(record.byCategory.expired_click.rows, 1);
+});
+
+test('fixable failures are due again, the rest stay exported', async () => {
+  const rows = [
+    row('CAL002', 'Cj0KCQ-action'),
+    row('CAL003', 'Cj0KCQ-old'),
+    row('CAL006', 'Cj0KCQ-sale', { conversionName: 'Qualified Call', secondary: true })
+  ];
+  const exported = await lookupExports(rows);
+  assert.deepEqual(rows.map(r => !!exported[ledgerKey(r)]), [false, true, false]);
+});
+
+test('imports read the click index, not the whole ledger', async () => {
+  // Written behind the index's back once it's built - a scan would find it
+  await openStore('export-ledger').set('CAL999:Cj0KCQ-ok', { callId: 'CAL999', clickIdType: 'gclid', clickId: 'Cj0KCQ-ok' });
+
+  const found = await findByClickIds(['Cj0KCQ-ok', 'Cj0KCQ-nobody']);
+  assert.deepEqual(Object.keys(found), ['Cj0KCQ-ok']);
+  assert.deepEqual(found['Cj0KCQ-ok'].map(f => f.entry.callId), ['CAL001']);
+});
+
+test('repeat calls on one click are told apart by conversion time', async () => {
+  const first = row('CAL010', 'Cj0KCQ-repeat', { conversionTime: '2026-09-07 09:00:00-0700' });
+  const second = row('CAL011', 'Cj0KCQ-repeat', { conversionTime: '2026-09-08 14:30:00-0700' });
+  await recordExports([first, second], 'upload');
+
+  const record = await importUploadResults(client, [
+    'Google Click ID,Conversion Name,Conversion Time,Conversion Value,Conversion Currency,Errors',
+    'Cj0KCQ-repeat,Phone Call,2026-09-07 09:00:00-0700,1500,USD,',
+    // Same instant as the second call, written in another offset
+    'Cj0KCQ-repeat,Phone Call,2026-09-08 16:30:00-0500,1500,USD,Internal error encountered.'
+  ].join('\n'), { user });
+
+  assert.deepEqual(record.results.map(r => [r.callId, r.status]), [['CAL010', 'accepted'], ['CAL011', 'failed']]);
+  const exported = await lookupExports([first, second]);
+  assert.deepEqual([first, second].map(r => !!exported[ledgerKey(r)]), [true, false]);
+});
+
+test('an ambiguous row with no time match is left unmatched', async () => {
+  const record = await importUploadResults(client, [
+    'Google Click ID,Conversion Name,Conversion Time,Conversion Value,Conversion Currency,Errors',
+    'Cj0KCQ-repeat,Phone Call,2026-09-09 10:00:00-0700,1500,USD,Internal error encountered.'
+  ].join('\n'), { user });
+
+  assert.equal(record.results[0].status, 'unmatched');
+});